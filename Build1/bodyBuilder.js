@@ -0,0 +1,141 @@
+/**
+ * Body Builder - Composes creep bodies from role templates
+ * CPU optimized for maximum efficiency
+ */
+const bodyBuilder = {
+    // Default placement - parts at the front take damage first, HEAL at the back survives longest
+    PART_ORDER: [TOUGH, WORK, CARRY, ATTACK, RANGED_ATTACK, CLAIM, MOVE, HEAL],
+    
+    // Fatigue each non-MOVE part generates per tile
+    // parked is for creeps that walk to one spot and work there - half speed on roads, like the old 2:1:1 harvester
+    TERRAIN_FATIGUE: {
+        parked: 0.5,
+        road: 1,
+        plain: 2,
+        swamp: 10
+    },
+    
+    /**
+     * Role templates
+     * required: parts every body gets once
+     * segment: parts repeated as often as energy and maxSegments allow
+     * move: terrain the creep should cross at full speed when loaded, 'parked', or a fixed MOVE count
+     * order: optional placement from front to back, replaces PART_ORDER for TOUGH, HEAL and the rest
+     */
+    TEMPLATES: {
+        harvester: { required: [], segment: [WORK, WORK, CARRY], maxSegments: 3, move: 'parked' },
+        hauler: { required: [WORK], segment: [CARRY, CARRY], maxSegments: 16, move: 'road' },
+        remoteHauler: { required: [WORK], segment: [CARRY, CARRY], maxSegments: 16, move: 'road' },
+        upgrader: { required: [], segment: [WORK, CARRY], maxSegments: 16, move: 'road' },
+        builder: { required: [], segment: [WORK, CARRY], maxSegments: 16, move: 'road' },
+        pioneer: { required: [], segment: [WORK, CARRY], maxSegments: 10, move: 'plain' },
+        reserver: { required: [], segment: [CLAIM], maxSegments: 2, move: 'plain' },
+        claimer: { required: [], segment: [CLAIM], maxSegments: 1, move: 'plain' },
+        defender: { required: [], segment: [ATTACK], maxSegments: 25, move: 'plain', order: [TOUGH, ATTACK, MOVE, HEAL] },
+        rangedDefender: {
+            required: [HEAL],
+            segment: [RANGED_ATTACK],
+            maxSegments: 24,
+            move: 'plain',
+            order: [TOUGH, RANGED_ATTACK, MOVE, HEAL]
+        }
+    },
+    
+    /**
+     * Build the largest body a template allows for the given energy
+     * @param {Object} template - Role template
+     * @param {number} energy - Energy to spend
+     * @param {Object} [options] - { maxSegments, boosts: { part: compound } }
+     * @returns {string[]} - Body parts in the template's order, empty if not even one segment is affordable
+     */
+    build: function(template, energy, options = {}) {
+        const maxSegments = Math.min(template.maxSegments, options.maxSegments || Infinity);
+        
+        let best = [];
+        for (let segments = 1; segments <= maxSegments; segments++) {
+            const parts = template.required.slice();
+            for (let i = 0; i < segments; i++) {
+                parts.push(...template.segment);
+            }
+            
+            const body = parts.concat(new Array(this.getMoveParts(parts, template.move, options.boosts)).fill(MOVE));
+            if (body.length > MAX_CREEP_SIZE || this.getCost(body) > energy) break;
+            
+            best = body;
+        }
+        
+        return this.sortBody(best, template.order);
+    },
+    
+    /**
+     * Number of MOVE parts needed to keep a body at full speed
+     * @param {string[]} parts - Non-MOVE parts
+     * @param {string|number} move - 'parked', 'road', 'plain', 'swamp', or a fixed MOVE count
+     * @param {Object} [boosts] - Boost compound per part type
+     * @returns {number} - MOVE parts
+     */
+    getMoveParts: function(parts, move, boosts) {
+        if (typeof move === 'number') return move;
+        
+        // Boosted MOVE parts remove more fatigue each
+        const compound = boosts && boosts[MOVE];
+        const power = 2 * (compound ? BOOSTS[MOVE][compound].fatigue : 1);
+        
+        return Math.ceil(parts.length * this.TERRAIN_FATIGUE[move] / power);
+    },
+    
+    /**
+     * Sort parts from front to back
+     * @param {string[]} body - Body parts
+     * @param {string[]} [order] - Placement from front to back, PART_ORDER if not given
+     * @returns {string[]} - Sorted copy, parts missing from the order go last
+     */
+    sortBody: function(body, order = this.PART_ORDER) {
+        const rank = part => {
+            const index = order.indexOf(part);
+            return index === -1 ? order.length : index;
+        };
+        return body.slice().sort((a, b) => rank(a) - rank(b));
+    },
+    
+    /**
+     * Calculate the energy cost of a body
+     * @param {string[]} body - Body parts
+     * @returns {number} - Total energy cost
+     */
+    getCost: function(body) {
+        return body.reduce((cost, part) => cost + BODYPART_COST[part], 0);
+    },
+    
+    /**
+     * Minerals labs need to boost a body
+     * @param {string[]} body - Body parts
+     * @param {Object} boosts - Boost compound per part type
+     * @returns {Object} - Amount per compound
+     */
+    getBoostCost: function(body, boosts) {
+        const cost = {};
+        
+        for (const part of body) {
+            const compound = boosts[part];
+            if (!compound) continue;
+            cost[compound] = (cost[compound] || 0) + LAB_BOOST_MINERAL;
+        }
+        
+        return cost;
+    },
+    
+    /**
+     * Energy a spawn request should size its body for
+     * Bodies target full extensions, only recovery takes whatever is available now.
+     * @param {Room} room - The spawning room
+     * @param {boolean} recovery - The room needs a creep now, however small
+     * @param {number} available - Energy still available this tick
+     * @returns {number} - Energy to build the body for
+     */
+    getEnergyTarget: function(room, recovery, available) {
+        return recovery ? available : room.energyCapacityAvailable;
+    }
+};
+
+module.exports = bodyBuilder;
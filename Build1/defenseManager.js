@@ -3,8 +3,53 @@
  * Optimized for CPU efficiency and resiliency
  */
 const utils = require('utils');
+const towerManager = require('towerManager');
+const diplomacy = require('diplomacy');
 
 const defenseManager = {
+    // Hostiles this close to a spawn, storage or the controller are about to hit it
+    SAFE_MODE_RANGE: 2,
+    
+    // Most defenders spawned for one room at a time
+    MAX_DEFENDERS: 3,
+    
+    // Defenders out-damage enemy healing by this factor
+    DEFENDER_MARGIN: 1.5,
+    
+    // Owned rooms at most this many rooms away send help
+    HELP_RANGE: 3,
+    
+    // Attacked rooms stay off routes and remote operations this long after the last alert
+    UNSAFE_TIME: 1500,
+    
+    // Towers averaging less energy than this are running dry
+    TOWER_DRY_ENERGY: 300,
+    
+    // Energy sent per terminal transfer, and what the sender keeps for itself
+    AID_AMOUNT: 10000,
+    AID_RESERVE: 20000,
+    
+    // Structures worth a rampart thick enough to survive a nuke
+    NUKE_CRITICAL: [
+        STRUCTURE_SPAWN,
+        STRUCTURE_STORAGE,
+        STRUCTURE_TERMINAL,
+        STRUCTURE_TOWER,
+        STRUCTURE_LAB,
+        STRUCTURE_FACTORY,
+        STRUCTURE_POWER_SPAWN,
+        STRUCTURE_NUKER
+    ],
+    
+    // Nukes hit everything within this range of the landing spot
+    NUKE_RADIUS: 2,
+    
+    // Extra rampart hits on top of the nuke damage
+    NUKE_HITS_MARGIN: 100000,
+    
+    // Creeps spawned this close to a landing have no time to do anything before it
+    NUKE_SPAWN_MARGIN: 100,
+    
     /**
      * Run defense manager for a room
      * @param {Room} room - The room to manage defense for
@@ -16,7 +61,14 @@ const defenseManager = {
         // Check for source keepers
         const hasKeepers = this.hasSourceKeepers(room);
         
-        // Check for hostiles (excluding source keepers)
+        // Charge damage done this tick to its owner before deciding who is hostile
+        const foreign = room.find(FIND_HOSTILE_CREEPS);
+        if (foreign.length > 0) {
+            diplomacy.recordAttacks(room);
+            diplomacy.recordSighting(room, foreign);
+        }
+        
+        // Check for hostiles (excluding source keepers, allies and peaceful neutrals)
         const hostiles = this.getHostiles(room);
         
         // Update room memory with hostile information
@@ -25,6 +77,9 @@ const defenseManager = {
         room.memory.defense.hasSourceKeepers = hasKeepers;
         room.memory.defense.lastHostileCheck = Game.time;
         
+        // Nukes take long to land, so they're handled whether or not hostiles are around
+        this.checkNukes(room);
+        
         // Handle source keeper rooms differently
         if (hasKeepers && !room.memory.defense.keeperWarningIssued) {
             console.log(`⚠️ NOTICE: Room ${room.name} contains Source Keepers. Avoid until properly equipped.`);
@@ -42,6 +97,10 @@ const defenseManager = {
                 console.log(`Room ${room.name} is now safe from player threats.`);
                 room.memory.defense.threatLevel = 0;
             }
+            delete room.memory.defense.perimeterRamparts;
+            
+            // Idle towers heal and repair
+            towerManager.run(room, hostiles);
             return;
         }
         
@@ -74,13 +133,148 @@ const defenseManager = {
             }
         }
         
+        // Last resort before towers - nothing else stops an attacker at the spawn
+        this.checkSafeMode(room, hostiles);
+        
+        // Towers alone don't cover rooms without them or attackers that out-heal them
+        if (threatLevel >= 2 && Game.time % 5 === 0) {
+            this.requestDefenders(room, hostiles, threatLevel);
+        }
+        
         // Activate towers
-        this.activateTowers(room, hostiles);
+        towerManager.run(room, hostiles);
         
         // Alert nearby rooms if needed
         if (threatLevel >= 3 && Game.time % 10 === 0) {
-            this.alertNearbyRooms(room);
+            this.alertNearbyRooms(room, hostiles, threatLevel);
+        }
+    },
+    
+    /**
+     * Activate safe mode when critical structures are about to be hit or ramparts are breached
+     * Rooms opt out with room.memory.defense.safeModeDisabled.
+     * @param {Room} room - The room under attack
+     * @param {Array} hostiles - Array of hostile creeps
+     * @returns {boolean} - True if safe mode was activated
+     */
+    checkSafeMode: function(room, hostiles) {
+        const defense = room.memory.defense;
+        const controller = room.controller;
+        
+        const reason = this.getSafeModeReason(room, hostiles);
+        if (!reason) return false;
+        
+        if (defense.safeModeDisabled || controller.safeMode) return false;
+        
+        if (controller.safeModeAvailable === 0 || controller.safeModeCooldown || controller.upgradeBlocked) {
+            utils.logError(`safemode_${room.name}`, `Safe mode needed in ${room.name} (${reason}) but not available`, 100);
+            return false;
+        }
+        
+        const result = controller.activateSafeMode();
+        console.log(`⚠️ SAFE MODE in ${room.name}: ${reason} (result ${result})`);
+        
+        if (result === OK) {
+            if (!defense.safeModeHistory) defense.safeModeHistory = [];
+            defense.safeModeHistory.push({ time: Game.time, reason: reason });
+            if (defense.safeModeHistory.length > 10) defense.safeModeHistory.shift();
+        }
+        
+        return result === OK;
+    },
+    
+    /**
+     * Find out whether the room needs safe mode right now
+     * @param {Room} room - The room under attack
+     * @param {Array} hostiles - Array of hostile creeps
+     * @returns {string|null} - Reason for safe mode, or null if not needed
+     */
+    getSafeModeReason: function(room, hostiles) {
+        const defense = room.memory.defense;
+        
+        // Perimeter ramparts knocked down by hostiles mean a breach
+        const perimeter = require('rampartPlanner').getPerimeter(room);
+        if (perimeter.length > 0) {
+            const built = {};
+            for (const rampart of room.find(FIND_MY_STRUCTURES, { filter: s => s.structureType === STRUCTURE_RAMPART })) {
+                built[rampart.pos.x * 50 + rampart.pos.y] = rampart.id;
+            }
+            
+            const current = {};
+            for (const pos of perimeter) {
+                const key = pos.x * 50 + pos.y;
+                if (built[key]) current[key] = built[key];
+            }
+            
+            const previous = defense.perimeterRamparts;
+            defense.perimeterRamparts = current;
+            
+            // Older memory held a plain count
+            if (previous && typeof previous === 'object') {
+                const lost = Object.keys(previous).filter(key => !current[key]);
+                const breached = lost.filter(key => this.wasBreached(room, hostiles, Number(key), previous[key]));
+                if (breached.length > 0) {
+                    return `rampart perimeter breached (${breached.length} lost)`;
+                }
+            }
+        }
+        
+        const critical = [
+            ...room.find(FIND_MY_SPAWNS),
+            ...(room.storage ? [room.storage] : []),
+            room.controller
+        ];
+        
+        for (const hostile of hostiles) {
+            const parts = hostile.getActiveBodyparts(ATTACK) + hostile.getActiveBodyparts(WORK);
+            const claims = hostile.getActiveBodyparts(CLAIM);
+            if (parts === 0 && claims === 0) continue;
+            
+            for (const structure of critical) {
+                if (!hostile.pos.inRangeTo(structure, this.SAFE_MODE_RANGE)) continue;
+                
+                // Only the controller can be hurt by CLAIM parts
+                const isController = structure.structureType === STRUCTURE_CONTROLLER;
+                if (parts === 0 && !isController) continue;
+                
+                // A rampart on top has to fall first
+                const covered = !isController && structure.pos.lookFor(LOOK_STRUCTURES)
+                    .some(s => s.structureType === STRUCTURE_RAMPART);
+                if (covered) continue;
+                
+                return `${hostile.owner.username} creep ${hostile.name} next to ${structure.structureType} at ${structure.pos.x},${structure.pos.y}`;
+            }
         }
+        
+        return null;
+    },
+    
+    /**
+     * Check whether a lost perimeter rampart was taken down by hostiles
+     * Decay, nukes and our own dismantling don't cost a safe mode.
+     * @param {Room} room - The room under attack
+     * @param {Array} hostiles - Array of hostile creeps
+     * @param {number} key - Rampart tile as x * 50 + y
+     * @param {string} id - Id the rampart had
+     * @returns {boolean} - True if an armed hostile is in reach of the tile or the event log shows it attacked
+     */
+    wasBreached: function(room, hostiles, key, id) {
+        const x = Math.floor(key / 50);
+        const y = key % 50;
+        
+        for (const hostile of hostiles) {
+            const range = hostile.pos.getRangeTo(x, y);
+            if (range <= 1 && (hostile.getActiveBodyparts(ATTACK) > 0 || hostile.getActiveBodyparts(WORK) > 0)) return true;
+            if (range <= 3 && hostile.getActiveBodyparts(RANGED_ATTACK) > 0) return true;
+        }
+        
+        // Dismantling shows up as EVENT_ATTACK too
+        return room.getEventLog().some(event => {
+            if (event.event !== EVENT_ATTACK || event.data.targetId !== id) return false;
+            
+            const attacker = Game.getObjectById(event.objectId);
+            return !attacker || !attacker.my;
+        });
     },
     
     /**
@@ -90,7 +284,7 @@ const defenseManager = {
      */
     getHostiles: function(room) {
         return room.find(FIND_HOSTILE_CREEPS, {
-            filter: creep => creep.owner.username !== 'Source Keeper'
+            filter: creep => creep.owner.username !== 'Source Keeper' && diplomacy.isHostileCreep(creep)
         });
     },
     
@@ -116,20 +310,11 @@ const defenseManager = {
         if (hostiles.length === 0) return 0;
         
         let threatLevel = 1; // Base threat level
-        let totalAttackParts = 0;
-        let totalHealParts = 0;
-        let totalRangedParts = 0;
-        let totalWorkParts = 0; // For dismantling
-        
-        // Count dangerous body parts
-        for (const hostile of hostiles) {
-            for (const part of hostile.body) {
-                if (part.type === ATTACK) totalAttackParts++;
-                if (part.type === RANGED_ATTACK) totalRangedParts++;
-                if (part.type === HEAL) totalHealParts++;
-                if (part.type === WORK) totalWorkParts++;
-            }
-        }
+        const composition = this.getEnemyComposition(hostiles);
+        const totalAttackParts = composition.attack;
+        const totalHealParts = composition.heal;
+        const totalRangedParts = composition.ranged;
+        const totalWorkParts = composition.work; // For dismantling
         
         // Adjust threat level based on body parts
         if (totalAttackParts + totalRangedParts > 10) threatLevel = Math.max(threatLevel, 4);
@@ -147,58 +332,403 @@ const defenseManager = {
     },
     
     /**
-     * Activate towers to defend against hostiles
-     * @param {Room} room - The room to defend
+     * Count the dangerous body parts of a group of hostiles
+     * @param {Array} hostiles - Array of hostile creeps
+     * @returns {Object} - Part counts { attack, ranged, heal, work, tough }
+     */
+    getEnemyComposition: function(hostiles) {
+        const composition = { attack: 0, ranged: 0, heal: 0, work: 0, tough: 0 };
+        
+        for (const hostile of hostiles) {
+            for (const part of hostile.body) {
+                if (part.type === ATTACK) composition.attack++;
+                if (part.type === RANGED_ATTACK) composition.ranged++;
+                if (part.type === HEAL) composition.heal++;
+                if (part.type === WORK) composition.work++;
+                if (part.type === TOUGH) composition.tough++;
+            }
+        }
+        
+        return composition;
+    },
+    
+    /**
+     * Queue defenders sized against the hostiles when towers can't handle them
+     * @param {Room} room - The room under attack
      * @param {Array} hostiles - Array of hostile creeps
+     * @param {number} threatLevel - Assessed threat level
+     * @param {string} [spawnRoom] - Room that spawns the defenders, defaults to the attacked room
+     * @returns {number} - Number of defenders requested
      */
-    activateTowers: function(room, hostiles) {
-        if (hostiles.length === 0) return;
+    requestDefenders: function(room, hostiles, threatLevel, spawnRoom) {
+        const spawnManager = require('spawnManager');
+        const homeName = spawnRoom || room.name;
+        const home = Game.rooms[homeName];
+        if (!home || home.find(FIND_MY_SPAWNS).length === 0) return 0;
         
+        // Towers that can out-damage the healing handle small raids on their own
         const towers = room.find(FIND_MY_STRUCTURES, {
-            filter: s => s.structureType === STRUCTURE_TOWER
+            filter: s => s.structureType === STRUCTURE_TOWER && s.store[RESOURCE_ENERGY] >= TOWER_ENERGY_COST
         });
+        if (towers.length > 0 && threatLevel < 4 && towerManager.chooseTarget(room, towers, hostiles)) {
+            return 0;
+        }
         
-        if (towers.length === 0) return;
+        const plan = this.getDefenderPlan(home, this.getEnemyComposition(hostiles));
+        if (!plan) return 0;
         
-        // Sort hostiles by priority
-        hostiles.sort((a, b) => {
-            // Prioritize creeps with healing parts
-            const aHasHeal = a.body.some(part => part.type === HEAL);
-            const bHasHeal = b.body.some(part => part.type === HEAL);
+        return this.queueDefenders(homeName, room.name, plan, spawnManager.PRIORITY.DEFENSE);
+    },
+    
+    /**
+     * Queue the defenders of a plan that aren't alive yet
+     * @param {string} homeName - Room that spawns the defenders
+     * @param {string} targetRoom - Room the defenders fight in
+     * @param {Object} plan - Plan from getDefenderPlan
+     * @param {number} priority - Spawn queue priority
+     * @returns {number} - Number of defenders requested
+     */
+    queueDefenders: function(homeName, targetRoom, plan, priority) {
+        const spawnManager = require('spawnManager');
+        
+        // Defenders already on their way count towards the plan
+        const existing = _.filter(Game.creeps, c =>
+            (c.memory.role === 'defender' || c.memory.role === 'rangedDefender') &&
+            c.memory.targetRoom === targetRoom).length;
+        
+        // So do requests waiting in other rooms' queues - the attacked room and its helper both queue for it
+        const prefix = `defender_${targetRoom}_`;
+        const queuedElsewhere = {};
+        for (const roomName in Memory.rooms) {
+            if (roomName === homeName) continue;
+            for (const entry of Memory.rooms[roomName].spawnQueue || []) {
+                if (entry.id.startsWith(prefix)) queuedElsewhere[entry.id] = true;
+            }
+        }
+        
+        const missing = plan.count - existing - Object.keys(queuedElsewhere).length;
+        const keys = [];
+        for (let i = 0; keys.length < missing; i++) {
+            const key = prefix + i;
+            if (queuedElsewhere[key]) continue;
             
-            if (aHasHeal && !bHasHeal) return -1;
-            if (!aHasHeal && bHasHeal) return 1;
+            keys.push(key);
+            spawnManager.requestCreep(homeName, {
+                key: key,
+                role: plan.role,
+                body: plan.body,
+                memory: { targetRoom: targetRoom },
+                priority: priority,
+                deadline: Game.time + 200
+            });
+        }
+        
+        // Our requests the plan no longer needs
+        for (const entry of spawnManager.getQueue(homeName).slice()) {
+            if (entry.id.startsWith(prefix) && keys.indexOf(entry.id) === -1) {
+                spawnManager.cancelRequest(homeName, entry.id);
+            }
+        }
+        
+        return keys.length;
+    },
+    
+    /**
+     * Find an invader core that defenders can bring down
+     * Only level 0 cores - higher levels are strongholds with towers of their own.
+     * @param {Room} room - The room to check
+     * @returns {StructureInvaderCore|null} - The core or null if none can be attacked
+     */
+    findInvaderCore: function(room) {
+        return room.find(FIND_HOSTILE_STRUCTURES, {
+            filter: s => s.structureType === STRUCTURE_INVADER_CORE && s.level === 0
+        })[0] || null;
+    },
+    
+    /**
+     * Pick the defender role, body and count for an enemy composition
+     * @param {Room} home - Room that spawns the defenders
+     * @param {Object} composition - Enemy part counts from getEnemyComposition
+     * @returns {Object|null} - { role, body, count } or null if no defender is affordable
+     */
+    getDefenderPlan: function(home, composition) {
+        const spawnManager = require('spawnManager');
+        
+        // Ranged defenders kite melee-light groups, melee defenders hit hardest from ramparts
+        const ranged = composition.ranged > composition.attack;
+        const role = ranged ? 'rangedDefender' : 'defender';
+        const attackPart = ranged ? RANGED_ATTACK : ATTACK;
+        const power = ranged ? RANGED_ATTACK_POWER : ATTACK_POWER;
+        
+        // Enough parts to beat their healing and to match their own damage
+        const needed = Math.max(
+            Math.ceil(composition.heal * HEAL_POWER * this.DEFENDER_MARGIN / power),
+            composition.attack + composition.ranged,
+            2
+        );
+        
+        const body = spawnManager.createCombatBody(home.energyCapacityAvailable, attackPart, needed, ranged);
+        const parts = body.filter(part => part === attackPart).length;
+        if (parts === 0) return null;
+        
+        return {
+            role: role,
+            body: body,
+            count: Math.min(this.MAX_DEFENDERS, Math.ceil(needed / parts))
+        };
+    },
+    
+    /**
+     * Find a free rampart from which a defender can hit its target
+     * @param {Creep} creep - The defender
+     * @param {Creep} target - The hostile to hit
+     * @param {number} range - Attack range of the defender
+     * @returns {StructureRampart|null} - Closest usable rampart, or null if none is in range of the target
+     */
+    findFightingRampart: function(creep, target, range) {
+        const ramparts = target.pos.findInRange(FIND_MY_STRUCTURES, range, {
+            filter: s => s.structureType === STRUCTURE_RAMPART &&
+                         (s.pos.isEqualTo(creep.pos) ||
+                          s.pos.lookFor(LOOK_CREEPS).length === 0) &&
+                         s.pos.lookFor(LOOK_STRUCTURES).every(o => OBSTACLE_OBJECT_TYPES.indexOf(o.structureType) === -1)
+        });
+        
+        return creep.pos.findClosestByRange(ramparts);
+    },
+    
+    /**
+     * Recycle a defender once its room has been quiet for a while
+     * @param {Creep} creep - The defender
+     * @returns {boolean} - True if the defender is done and being recycled
+     */
+    standDownDefender: function(creep) {
+        const room = Game.rooms[creep.memory.targetRoom];
+        const defense = room && room.memory.defense;
+        if (defense && defense.threatLevel) {
+            delete creep.memory.idleSince;
+            return false;
+        }
+        
+        // Wait a little in case the attackers regroup at the edge
+        if (!creep.memory.idleSince) creep.memory.idleSince = Game.time;
+        if (Game.time - creep.memory.idleSince < 50) return false;
+        
+        require('remoteManager').recycleCreep(creep);
+        return true;
+    },
+    
+    /**
+     * Track incoming nukes and plan the ramparts that have to survive them
+     * Rebuilds from the room plan once the last nuke has landed.
+     * @param {Room} room - The room to check
+     */
+    checkNukes: function(room) {
+        const defense = room.memory.defense;
+        
+        if (defense.nukes && defense.nukes.every(nuke => nuke.landAt <= Game.time)) {
+            console.log(`Nukes landed in ${room.name}, rebuilding from the room plan`);
+            delete defense.nukes;
+            delete defense.nukeShield;
+            require('constructionManager').run(room, true);
+        }
+        
+        if (Game.time % 10 !== 0) return;
+        
+        const nukes = room.find(FIND_NUKES);
+        if (nukes.length === 0) return;
+        
+        const known = defense.nukes || [];
+        defense.nukes = nukes.map(nuke => ({
+            id: nuke.id,
+            x: nuke.pos.x,
+            y: nuke.pos.y,
+            landAt: Game.time + nuke.timeToLand,
+            radius: this.NUKE_RADIUS,
+            launchRoom: nuke.launchRoomName
+        }));
+        
+        for (const nuke of defense.nukes) {
+            if (known.some(old => old.id === nuke.id)) continue;
             
-            // Then prioritize creeps with attack parts
-            const aHasAttack = a.body.some(part => part.type === ATTACK || part.type === RANGED_ATTACK);
-            const bHasAttack = b.body.some(part => part.type === ATTACK || part.type === RANGED_ATTACK);
+            const message = `Nuke from ${nuke.launchRoom} incoming in ${room.name} at ${nuke.x},${nuke.y}, landing in ${nuke.landAt - Game.time} ticks`;
+            console.log(`⚠️ ${message}`);
+            Game.notify(message);
+        }
+        
+        defense.nukeShield = this.planNukeShield(room, defense.nukes);
+    },
+    
+    /**
+     * Work out which critical structures need ramparts and how thick
+     * @param {Room} room - The room being nuked
+     * @param {Object[]} nukes - Incoming nukes from room memory
+     * @returns {Object[]} - Rampart positions { x, y, hits }
+     */
+    planNukeShield: function(room, nukes) {
+        const maxHits = RAMPART_HITS_MAX[room.controller.level] || 0;
+        const shield = [];
+        
+        const structures = room.find(FIND_MY_STRUCTURES, {
+            filter: s => this.NUKE_CRITICAL.indexOf(s.structureType) !== -1
+        });
+        
+        for (const structure of structures) {
+            let damage = 0;
+            for (const nuke of nukes) {
+                const range = structure.pos.getRangeTo(nuke.x, nuke.y);
+                if (range === 0) damage += NUKE_DAMAGE[0];
+                else if (range <= nuke.radius) damage += NUKE_DAMAGE[2];
+            }
+            if (damage === 0) continue;
             
-            if (aHasAttack && !bHasAttack) return -1;
-            if (!aHasAttack && bHasAttack) return 1;
+            // A rampart that can't hold at this RCL only wastes energy
+            const hits = damage + this.NUKE_HITS_MARGIN;
+            if (hits > maxHits) {
+                utils.logError(`nuke_shield_${room.name}_${structure.id}`,
+                    `${structure.structureType} at ${structure.pos.x},${structure.pos.y} in ${room.name} can't be shielded from ${damage} nuke damage`, 1000);
+                continue;
+            }
             
-            // Finally sort by distance to spawn
-            const spawn = room.find(FIND_MY_SPAWNS)[0];
-            if (spawn) {
-                return a.pos.getRangeTo(spawn) - b.pos.getRangeTo(spawn);
+            const covered = structure.pos.lookFor(LOOK_STRUCTURES).some(s => s.structureType === STRUCTURE_RAMPART) ||
+                structure.pos.lookFor(LOOK_CONSTRUCTION_SITES).some(s => s.structureType === STRUCTURE_RAMPART);
+            if (!covered) {
+                room.createConstructionSite(structure.pos, STRUCTURE_RAMPART);
             }
             
-            return 0;
-        });
+            shield.push({ x: structure.pos.x, y: structure.pos.y, hits: hits });
+        }
+        
+        return shield;
+    },
+    
+    /**
+     * Ticks until the next nuke lands in a room
+     * @param {Room} room - The room to check
+     * @returns {number|null} - Ticks until landing, or null if no nuke is incoming
+     */
+    getNukeLanding: function(room) {
+        const nukes = room.memory.defense && room.memory.defense.nukes;
+        if (!nukes || nukes.length === 0) return null;
+        
+        return Math.min(...nukes.map(nuke => nuke.landAt)) - Game.time;
+    },
+    
+    /**
+     * Alert nearby rooms about invasion and have them send defenders and energy
+     * @param {Room} room - The room under attack
+     * @param {Array} hostiles - Array of hostile creeps
+     * @param {number} threatLevel - Assessed threat level
+     */
+    alertNearbyRooms: function(room, hostiles, threatLevel) {
+        console.log(`⚠️ ALERT: Room ${room.name} under attack! Threat level: ${threatLevel}`);
+        
+        require('remoteManager').markUnsafe(room.name, this.UNSAFE_TIME);
+        
+        const helpers = this.findHelperRooms(room.name);
+        if (helpers.length === 0) return;
+        
+        // Defenders with nothing to do join first, the closest room spawns the rest
+        const sent = this.sendIdleDefenders(room, helpers);
+        const requested = this.requestDefenders(room, hostiles, threatLevel, helpers[0].name);
+        
+        const aid = this.sendEnergyAid(room, helpers);
+        if (sent > 0 || requested > 0 || aid) {
+            console.log(`Reinforcing ${room.name}: ${sent} defenders sent, ${requested} requested from ${helpers[0].name}` +
+                (aid ? `, ${this.AID_AMOUNT} energy from ${aid}` : ''));
+        }
+    },
+    
+    /**
+     * Find owned rooms close enough to help a room under attack
+     * @param {string} roomName - The room under attack
+     * @returns {Room[]} - Rooms with spawns that aren't under attack themselves, closest first
+     */
+    findHelperRooms: function(roomName) {
+        const helpers = [];
+        
+        for (const name in Game.rooms) {
+            const room = Game.rooms[name];
+            if (name === roomName || !room.controller || !room.controller.my) continue;
+            if (room.find(FIND_MY_SPAWNS).length === 0) continue;
+            
+            // Rooms fighting their own battle keep their defenders
+            if (room.memory.defense && room.memory.defense.threatLevel >= 2) continue;
+            
+            if (Game.map.getRoomLinearDistance(name, roomName) > this.HELP_RANGE) continue;
+            
+            const route = Game.map.findRoute(name, roomName);
+            if (route === ERR_NO_PATH || route.length > this.HELP_RANGE) continue;
+            
+            helpers.push({ room: room, distance: route.length });
+        }
         
-        // Attack the highest priority target with all towers
-        const target = hostiles[0];
-        for (const tower of towers) {
-            tower.attack(target);
+        return helpers.sort((a, b) => a.distance - b.distance).map(helper => helper.room);
+    },
+    
+    /**
+     * Retarget defenders idling in helper rooms to the room under attack
+     * @param {Room} room - The room under attack
+     * @param {Room[]} helpers - Rooms sending help
+     * @returns {number} - Number of defenders sent
+     */
+    sendIdleDefenders: function(room, helpers) {
+        const helperNames = helpers.map(helper => helper.name);
+        let sent = 0;
+        
+        for (const name in Game.creeps) {
+            const creep = Game.creeps[name];
+            if (creep.memory.role !== 'defender' && creep.memory.role !== 'rangedDefender') continue;
+            if (creep.memory.targetRoom === room.name || helperNames.indexOf(creep.memory.targetRoom) === -1) continue;
+            
+            // Defenders whose own room is quiet are free to go
+            const home = Game.rooms[creep.memory.targetRoom];
+            if (home.memory.defense && home.memory.defense.threatLevel) continue;
+            
+            creep.memory.targetRoom = room.name;
+            delete creep.memory.idleSince;
+            sent++;
         }
+        
+        return sent;
     },
     
     /**
-     * Alert nearby rooms about invasion
+     * Send energy by terminal when the attacked room's towers run dry
      * @param {Room} room - The room under attack
+     * @param {Room[]} helpers - Rooms sending help
+     * @returns {string|null} - Name of the room that sent energy, or null if none was sent
      */
-    alertNearbyRooms: function(room) {
-        // This would be expanded in a multi-room setup
-        console.log(`⚠️ ALERT: Room ${room.name} under attack! Threat level: ${room.memory.defense.threatLevel}`);
+    sendEnergyAid: function(room, helpers) {
+        if (!room.terminal || !room.terminal.my) return null;
+        
+        const towers = room.find(FIND_MY_STRUCTURES, {
+            filter: s => s.structureType === STRUCTURE_TOWER
+        });
+        if (towers.length === 0) return null;
+        
+        const towerEnergy = towers.reduce((sum, tower) => sum + tower.store[RESOURCE_ENERGY], 0);
+        if (towerEnergy / towers.length >= this.TOWER_DRY_ENERGY) return null;
+        
+        // Haulers refill the towers themselves while there's energy in the room
+        const stored = (room.storage ? room.storage.store[RESOURCE_ENERGY] : 0) + room.terminal.store[RESOURCE_ENERGY];
+        if (stored >= this.AID_AMOUNT) return null;
+        if (room.terminal.store.getFreeCapacity() < this.AID_AMOUNT) return null;
+        
+        for (const helper of helpers) {
+            const terminal = helper.terminal;
+            if (!terminal || !terminal.my || terminal.cooldown > 0) continue;
+            
+            const cost = Game.market.calcTransactionCost(this.AID_AMOUNT, helper.name, room.name);
+            const available = (helper.storage ? helper.storage.store[RESOURCE_ENERGY] : 0) + terminal.store[RESOURCE_ENERGY];
+            if (terminal.store[RESOURCE_ENERGY] < this.AID_AMOUNT + cost) continue;
+            if (available - this.AID_AMOUNT - cost < this.AID_RESERVE) continue;
+            
+            if (terminal.send(RESOURCE_ENERGY, this.AID_AMOUNT, room.name, 'defense aid') === OK) {
+                return helper.name;
+            }
+        }
+        
+        return null;
     },
     
     /**
@@ -0,0 +1,186 @@
+/**
+ * Diplomacy - Ally and neutral lists plus a hostility history per player
+ * CPU optimized for maximum efficiency
+ */
+const utils = require('utils');
+
+const diplomacy = {
+    // NPC owners that are always hostile but never hold a grudge
+    NPC_OWNERS: ['Invader', 'Source Keeper'],
+    
+    // Body compositions kept per player
+    MAX_BODIES: 10,
+    
+    // Players not seen for this long are forgotten
+    FORGET_AFTER: 200000,
+    
+    /**
+     * Get diplomacy memory, creating it if needed
+     * @returns {Object} - { allies: string[], neutrals: string[], players: {} }
+     */
+    getMemory: function() {
+        if (!Memory.diplomacy) {
+            Memory.diplomacy = { allies: [], neutrals: [], players: {} };
+        }
+        return Memory.diplomacy;
+    },
+    
+    /**
+     * Get how we stand with a player
+     * Neutrals turn hostile as soon as they damage anything of ours.
+     * @param {string} username - The player
+     * @returns {string} - 'self', 'npc', 'ally', 'neutral' or 'hostile'
+     */
+    getStanding: function(username) {
+        if (username === utils.getUsername()) return 'self';
+        if (this.NPC_OWNERS.indexOf(username) !== -1) return 'npc';
+        
+        const memory = this.getMemory();
+        if (memory.allies.indexOf(username) !== -1) return 'ally';
+        
+        if (memory.neutrals.indexOf(username) !== -1) {
+            const record = memory.players[username];
+            return record && record.damage > 0 ? 'hostile' : 'neutral';
+        }
+        
+        return 'hostile';
+    },
+    
+    /**
+     * Check whether a player's creeps should be fought
+     * @param {string} username - The player
+     * @returns {boolean} - True for hostile players and NPCs
+     */
+    isHostile: function(username) {
+        const standing = this.getStanding(username);
+        return standing === 'hostile' || standing === 'npc';
+    },
+    
+    /**
+     * Check whether a creep should be fought
+     * @param {Creep} creep - A creep not owned by us
+     * @returns {boolean} - True if its owner is hostile
+     */
+    isHostileCreep: function(creep) {
+        return this.isHostile(creep.owner.username);
+    },
+    
+    /**
+     * Put a player on the ally or neutral list, or back to hostile
+     * @param {string} username - The player
+     * @param {string} standing - 'ally', 'neutral' or 'hostile'
+     * @returns {string} - Confirmation message
+     */
+    setStanding: function(username, standing) {
+        const memory = this.getMemory();
+        memory.allies = memory.allies.filter(name => name !== username);
+        memory.neutrals = memory.neutrals.filter(name => name !== username);
+        
+        if (standing === 'ally') {
+            memory.allies.push(username);
+        } else if (standing === 'neutral') {
+            memory.neutrals.push(username);
+            
+            // A fresh start - past damage would make them hostile again right away
+            if (memory.players[username]) memory.players[username].damage = 0;
+        } else if (standing !== 'hostile') {
+            return `Unknown standing ${standing}, use ally, neutral or hostile`;
+        }
+        
+        return `${username} is now ${standing}`;
+    },
+    
+    /**
+     * Get the history record of a player, creating it if needed
+     * @param {string} username - The player
+     * @returns {Object} - { firstSeen, lastSeen, roomsAttacked, damage, bodies }
+     */
+    getPlayer: function(username) {
+        const players = this.getMemory().players;
+        if (!players[username]) {
+            players[username] = {
+                firstSeen: Game.time,
+                lastSeen: Game.time,
+                roomsAttacked: {},
+                damage: 0,
+                bodies: []
+            };
+        }
+        return players[username];
+    },
+    
+    /**
+     * Record player creeps seen in a room
+     * @param {Room} room - The room they were seen in
+     * @param {Creep[]} creeps - Foreign creeps in the room
+     */
+    recordSighting: function(room, creeps) {
+        for (const creep of creeps) {
+            const username = creep.owner.username;
+            if (this.NPC_OWNERS.indexOf(username) !== -1) continue;
+            
+            const record = this.getPlayer(username);
+            record.lastSeen = Game.time;
+            
+            // One squad per player and room every 100 ticks is enough to see what they send
+            const last = record.bodies[record.bodies.length - 1];
+            if (last && last.room === room.name && last.time !== Game.time && Game.time - last.time < 100) continue;
+            
+            const parts = {};
+            for (const part of creep.body) {
+                parts[part.type] = (parts[part.type] || 0) + 1;
+            }
+            
+            record.bodies.push({ time: Game.time, room: room.name, parts: parts });
+            if (record.bodies.length > this.MAX_BODIES) record.bodies.shift();
+        }
+        
+        if (Game.time % 1000 === 0) this.forgetOldPlayers();
+    },
+    
+    /**
+     * Add damage dealt to our creeps and structures this tick to the attackers' records
+     * @param {Room} room - The room to read the event log of
+     */
+    recordAttacks: function(room) {
+        for (const event of room.getEventLog()) {
+            if (event.event !== EVENT_ATTACK && event.event !== EVENT_ATTACK_CONTROLLER) continue;
+            
+            const attacker = Game.getObjectById(event.objectId);
+            if (!attacker || !attacker.owner || attacker.my) continue;
+            if (this.NPC_OWNERS.indexOf(attacker.owner.username) !== -1) continue;
+            
+            // Attack events name the target, controller attacks always hit the room's controller
+            const target = event.event === EVENT_ATTACK ? Game.getObjectById(event.data.targetId) : room.controller;
+            if (!target || !target.my) continue;
+            
+            const record = this.getPlayer(attacker.owner.username);
+            record.damage += event.data && event.data.damage ? event.data.damage : 0;
+            record.roomsAttacked[room.name] = Game.time;
+        }
+    },
+    
+    /**
+     * Check whether a player has attacked any of our rooms or creeps
+     * @param {string} username - The player
+     * @returns {boolean} - True if they have dealt damage to us
+     */
+    hasAttackedUs: function(username) {
+        const record = this.getMemory().players[username];
+        return !!record && (record.damage > 0 || Object.keys(record.roomsAttacked).length > 0);
+    },
+    
+    /**
+     * Drop players we haven't seen in a long time
+     */
+    forgetOldPlayers: function() {
+        const players = this.getMemory().players;
+        for (const username in players) {
+            if (Game.time - players[username].lastSeen > this.FORGET_AFTER) {
+                delete players[username];
+            }
+        }
+    }
+};
+
+module.exports = diplomacy;
@@ -0,0 +1,335 @@
+/**
+ * Expansion Manager - Claims new rooms and bootstraps them until they have a spawn
+ * CPU optimized for maximum efficiency
+ */
+const utils = require('utils');
+
+const expansionManager = {
+    // Parent rooms need this RCL before they support a new colony
+    MIN_PARENT_RCL: 4,
+    
+    // Energy the parent room must have in storage before expanding
+    MIN_PARENT_ENERGY: 20000,
+    
+    // Maximum room route distance from the parent room
+    MAX_DISTANCE: 6,
+    
+    // Pioneers sent to build the first spawn
+    PIONEER_COUNT: 3,
+    
+    // Give up on a target that hasn't got a spawn after this many ticks
+    EXPANSION_TIMEOUT: 20000,
+    
+    // Failed targets are not retried for this long
+    RETRY_DELAY: 50000,
+    
+    /**
+     * Initialize expansion memory
+     */
+    initMemory: function() {
+        if (!Memory.expansion) {
+            Memory.expansion = {
+                target: null,
+                parent: null,
+                status: null,
+                started: 0,
+                failed: {},
+                history: []
+            };
+        }
+    },
+    
+    /**
+     * Run the expansion manager
+     * Picks a target when GCL allows and drives the current expansion forward
+     */
+    run: function() {
+        // Expansion is never urgent
+        if (global.emergencyMode || Game.time % 10 !== 0) return;
+        if (!utils.shouldExecute('low')) return;
+        
+        this.initMemory();
+        const expansion = Memory.expansion;
+        
+        if (!expansion.target) {
+            // Only look for new targets occasionally
+            if (Game.time % 500 !== 0) return;
+            
+            const ownedRooms = _.filter(Game.rooms, r => r.controller && r.controller.my).length;
+            if (ownedRooms >= Game.gcl.level) return;
+            
+            const choice = this.selectTarget();
+            if (choice) this.startExpansion(choice.target, choice.parent);
+            return;
+        }
+        
+        const parent = Game.rooms[expansion.parent];
+        if (!parent || !parent.controller || !parent.controller.my) {
+            this.abandon('parent room lost');
+            return;
+        }
+        
+        if (Game.time - expansion.started > this.EXPANSION_TIMEOUT) {
+            this.abandon('timed out');
+            return;
+        }
+        
+        const room = Game.rooms[expansion.target];
+        
+        if (expansion.status === 'claiming') {
+            if (room && room.controller && room.controller.my) {
+                this.onClaimed(room);
+            } else if (room && room.controller && (room.controller.owner ||
+                (room.controller.reservation && room.controller.reservation.username !== utils.getUsername()))) {
+                this.abandon(`controller taken by ${room.controller.owner ? room.controller.owner.username :
+                    room.controller.reservation.username}`);
+            } else {
+                this.requestClaimer(parent, expansion.target);
+            }
+            return;
+        }
+        
+        if (expansion.status === 'building') {
+            if (!room || !room.controller || !room.controller.my) {
+                this.abandon('lost the controller');
+                return;
+            }
+            
+            if (room.find(FIND_MY_SPAWNS).length > 0) {
+                this.handOver(room);
+                return;
+            }
+            
+            this.placeSpawnSite(room);
+            this.requestPioneers(parent, expansion.target);
+        }
+    },
+    
+    /**
+     * Pick the best room to claim from scouted intel
+     * @returns {Object|null} - { target, parent } or null if nothing is suitable
+     */
+    selectTarget: function() {
+        if (!Memory.remoteOps || !Memory.remoteOps.rooms) return null;
+        
+        let best = null;
+        let bestScore = 0;
+        
+        for (const roomName in Memory.remoteOps.rooms) {
+            const roomData = Memory.remoteOps.rooms[roomName];
+            const parent = Game.rooms[roomData.baseRoom];
+            if (!this.canSupport(parent)) continue;
+            
+            const score = this.scoreRoom(roomName, roomData);
+            if (score <= bestScore) continue;
+            
+            // Claimers have 600 ticks to live - keep the colony within reach
+            const route = Game.map.findRoute(parent.name, roomName);
+            if (route === ERR_NO_PATH || route.length > this.MAX_DISTANCE) continue;
+            
+            best = { target: roomName, parent: parent.name };
+            bestScore = score;
+        }
+        
+        return best;
+    },
+    
+    /**
+     * Check whether a room can pay for a new colony
+     * @param {Room} room - The candidate parent room
+     * @returns {boolean} - True if the room can support an expansion
+     */
+    canSupport: function(room) {
+        if (!room || !room.controller || !room.controller.my) return false;
+        if (room.controller.level < this.MIN_PARENT_RCL) return false;
+        if (room.energyCapacityAvailable < BODYPART_COST[CLAIM] + BODYPART_COST[MOVE]) return false;
+        
+        return !!room.storage && room.storage.store[RESOURCE_ENERGY] >= this.MIN_PARENT_ENERGY;
+    },
+    
+    /**
+     * Score a scouted room as a colony site
+     * @param {string} roomName - Name of the room
+     * @param {Object} roomData - Intel record from Memory.remoteOps.rooms
+     * @returns {number} - Score, 0 if the room can't be claimed
+     */
+    scoreRoom: function(roomName, roomData) {
+        if (!roomData.lastScout || !roomData.hasController || roomData.owner) return 0;
+        if (roomData.keeperLairs > 0 || roomData.hostiles) return 0;
+        if (roomData.reservation && roomData.reservation.username !== utils.getUsername()) return 0;
+        if (roomData.hostileStructures && (roomData.hostileStructures.towers > 0 || roomData.hostileStructures.spawns > 0)) return 0;
+        
+        const failed = Memory.expansion.failed[roomName];
+        if (failed && Game.time - failed < this.RETRY_DELAY) return 0;
+        
+        // Two-source rooms are worth far more than anything else
+        let score = (roomData.sources || 0) * 10;
+        
+        // Open terrain leaves room for the base layout, swamps slow everything down
+        if (roomData.terrain) {
+            score += roomData.terrain.plain * 10 - roomData.terrain.swamp * 5;
+        }
+        
+        // Recently contested rooms are a liability
+        if (roomData.lastHostile && Game.time - roomData.lastHostile.time < 10000) {
+            score -= 10;
+        }
+        
+        // Closer rooms are easier to bootstrap and defend
+        score -= (roomData.depth || 1) * 2;
+        
+        return Math.max(0, score);
+    },
+    
+    /**
+     * Start claiming a room
+     * @param {string} target - The room to claim
+     * @param {string} parent - The room that supports the colony
+     */
+    startExpansion: function(target, parent) {
+        const expansion = Memory.expansion;
+        expansion.target = target;
+        expansion.parent = parent;
+        expansion.status = 'claiming';
+        expansion.started = Game.time;
+        
+        // A claimed room can't also be a remote mining room
+        const remoteManager = require('remoteManager');
+        remoteManager.stopOperation(target, 'room selected for expansion');
+        
+        console.log(`Expanding to ${target} from ${parent}`);
+        Game.notify(`Expanding to ${target} from ${parent}`);
+    },
+    
+    /**
+     * Give up on the current expansion
+     * @param {string} reason - Reason for the log
+     */
+    abandon: function(reason) {
+        const expansion = Memory.expansion;
+        console.log(`Abandoning expansion to ${expansion.target}: ${reason}`);
+        
+        expansion.failed[expansion.target] = Game.time;
+        this.cancelQueuedCreeps(expansion.parent, expansion.target);
+        expansion.target = null;
+        expansion.parent = null;
+        expansion.status = null;
+    },
+    
+    /**
+     * Switch to building once the controller is ours
+     * @param {Room} room - The claimed room
+     */
+    onClaimed: function(room) {
+        Memory.expansion.status = 'building';
+        console.log(`Claimed ${room.name}, sending pioneers`);
+    },
+    
+    /**
+     * Hand the room over to the normal room loop once its spawn is up
+     * @param {Room} room - The new colony
+     */
+    handOver: function(room) {
+        const expansion = Memory.expansion;
+        
+        // Pioneers stay on as bootstrap harvesters for the new room
+        for (const name in Game.creeps) {
+            const creep = Game.creeps[name];
+            if (creep.memory.role === 'pioneer' && creep.memory.targetRoom === room.name) {
+                creep.memory = { role: 'harvester', homeRoom: room.name };
+            }
+        }
+        
+        this.cancelQueuedCreeps(expansion.parent, room.name);
+        expansion.history.push({ room: room.name, parent: expansion.parent, claimed: expansion.started, completed: Game.time });
+        expansion.target = null;
+        expansion.parent = null;
+        expansion.status = null;
+        
+        console.log(`Colony ${room.name} has a spawn and is now self-sufficient`);
+        Game.notify(`Colony ${room.name} has a spawn and is now self-sufficient`);
+    },
+    
+    /**
+     * Queue a claimer if none is alive or queued
+     * @param {Room} parent - The parent room
+     * @param {string} target - The room to claim
+     */
+    requestClaimer: function(parent, target) {
+        const spawnManager = require('spawnManager');
+        
+        const hasClaimer = _.some(Game.creeps, c => c.memory.role === 'claimer' && c.memory.targetRoom === target);
+        if (hasClaimer) return;
+        
+        spawnManager.requestCreep(parent.name, {
+            key: `claimer_${target}`,
+            role: 'claimer',
+            memory: { targetRoom: target },
+            priority: spawnManager.PRIORITY.EXPANSION
+        });
+    },
+    
+    /**
+     * Keep the pioneer crew for the colony topped up
+     * @param {Room} parent - The parent room
+     * @param {string} target - The colony room
+     */
+    requestPioneers: function(parent, target) {
+        const spawnManager = require('spawnManager');
+        
+        const pioneers = _.filter(Game.creeps, c => c.memory.role === 'pioneer' && c.memory.targetRoom === target).length;
+        const queued = spawnManager.getQueue(parent.name).filter(e => e.role === 'pioneer' && e.memory.targetRoom === target).length;
+        
+        for (let i = pioneers + queued; i < this.PIONEER_COUNT; i++) {
+            spawnManager.requestCreep(parent.name, {
+                key: `pioneer_${target}_${Game.time}_${i}`,
+                role: 'pioneer',
+                memory: { targetRoom: target },
+                priority: spawnManager.PRIORITY.EXPANSION
+            });
+        }
+    },
+    
+    /**
+     * Remove queued claimers and pioneers for a colony
+     * @param {string} parentName - The parent room with the spawn queue
+     * @param {string} target - The colony room
+     */
+    cancelQueuedCreeps: function(parentName, target) {
+        if (!parentName) return;
+        
+        const spawnManager = require('spawnManager');
+        for (const entry of spawnManager.getQueue(parentName).slice()) {
+            if (entry.memory && entry.memory.targetRoom === target &&
+                (entry.role === 'claimer' || entry.role === 'pioneer')) {
+                spawnManager.cancelRequest(parentName, entry.id);
+            }
+        }
+    },
+    
+    /**
+     * Place the first spawn's construction site in the colony
+     * @param {Room} room - The colony room
+     */
+    placeSpawnSite: function(room) {
+        const sites = room.find(FIND_MY_CONSTRUCTION_SITES, {
+            filter: s => s.structureType === STRUCTURE_SPAWN
+        });
+        if (sites.length > 0) return;
+        
+        // The first spawn goes into the core of the colony's layout
+        const layout = room.memory.layout || require('layoutPlanner').plan(room);
+        if (!layout) {
+            this.abandon('no room for a spawn');
+            return;
+        }
+        
+        const spawnPos = layout.structures[STRUCTURE_SPAWN][0];
+        const result = room.createConstructionSite(spawnPos.x, spawnPos.y, STRUCTURE_SPAWN);
+        if (result !== OK) {
+            utils.logError(`expansion_spawnsite_${room.name}`, `Failed to place spawn site in ${room.name}: ${result}`, 100);
+        }
+    }
+};
+
+module.exports = expansionManager;
@@ -0,0 +1,163 @@
+/**
+ * Fortification Manager - Sets rampart and wall hit targets and hands out repair tasks
+ * CPU optimized for maximum efficiency
+ */
+const fortificationManager = {
+    // Ticks between target and task list updates
+    UPDATE_INTERVAL: 20,
+    
+    // Hits every rampart and wall should reach at each RCL with no energy to spare
+    BASE_HITS: {
+        1: 0,
+        2: 10000,
+        3: 30000,
+        4: 100000,
+        5: 300000,
+        6: 1000000,
+        7: 3000000,
+        8: 10000000
+    },
+    
+    // Stored energy kept for spawning before fortifications get more
+    RESERVE_ENERGY: 20000,
+    
+    // Every this much stored energy above the reserve adds BASE_HITS to the target
+    ENERGY_STEP: 50000,
+    
+    // Largest raise of the target per update, as a fraction of BASE_HITS
+    MAX_RAISE: 0.1,
+    
+    // Ramparts with fewer hits than this many decay steps are about to disappear
+    EMERGENCY_DECAYS: 3,
+    
+    // Towers only repair the weakest fortification while holding this much energy
+    TOWER_RESERVE: 700,
+    
+    // Longest task list kept in memory
+    MAX_TASKS: 20,
+    
+    /**
+     * Update the hit target and repair tasks of a room
+     * @param {Room} room - The room to manage fortifications for
+     */
+    run: function(room) {
+        if (!room.controller || !room.controller.my) return;
+        if (room.memory.fortification && Game.time % this.UPDATE_INTERVAL !== 0) return;
+        
+        const fort = room.memory.fortification || (room.memory.fortification = { target: 0 });
+        const rcl = room.controller.level;
+        
+        // Stored energy above the reserve buys thicker walls
+        let desired = this.BASE_HITS[rcl];
+        if (room.storage) {
+            const surplus = Math.max(0, room.storage.store[RESOURCE_ENERGY] - this.RESERVE_ENERGY);
+            desired *= 1 + surplus / this.ENERGY_STEP;
+        }
+        desired = Math.floor(Math.min(desired, RAMPART_HITS_MAX[rcl] || 0));
+        
+        // Raise slowly so builders aren't pulled off everything else at once, drop right away
+        fort.target = Math.min(desired, Math.max(fort.target, this.BASE_HITS[rcl]) + this.BASE_HITS[rcl] * this.MAX_RAISE);
+        
+        const emergencyHits = RAMPART_DECAY_AMOUNT * this.EMERGENCY_DECAYS;
+        const weak = room.find(FIND_STRUCTURES, {
+            filter: s => (s.structureType === STRUCTURE_RAMPART && s.my) ||
+                         s.structureType === STRUCTURE_CONSTRUCTED_WALL
+        }).filter(s => s.hits < fort.target);
+        
+        weak.sort((a, b) => a.hits - b.hits);
+        
+        fort.tasks = weak.slice(0, this.MAX_TASKS).map(s => s.id);
+        fort.emergency = weak.filter(s => s.structureType === STRUCTURE_RAMPART && s.hits < emergencyHits)
+            .map(s => s.id);
+        
+        // Ramparts over structures in a nuke's blast need the nuke's damage on top
+        fort.nukeHits = {};
+        const shield = (room.memory.defense && room.memory.defense.nukeShield) || [];
+        for (const pos of shield) {
+            const rampart = room.lookForAt(LOOK_STRUCTURES, pos.x, pos.y)
+                .find(s => s.structureType === STRUCTURE_RAMPART);
+            if (rampart && rampart.hits < pos.hits) fort.nukeHits[rampart.id] = pos.hits;
+        }
+        fort.nuke = Object.keys(fort.nukeHits);
+        fort.claims = {};
+        fort.updated = Game.time;
+    },
+    
+    /**
+     * Hand a builder the weakest fortification nobody else is working on
+     * @param {Creep} creep - The builder asking for work
+     * @param {boolean} emergencyOnly - Only return ramparts about to decay
+     * @returns {Structure|null} - Rampart or wall to repair, or null if none needs work
+     */
+    getRepairTask: function(creep, emergencyOnly = false) {
+        const fort = creep.room.memory.fortification;
+        if (!fort || !fort.tasks) return null;
+        
+        const lists = emergencyOnly ? [fort.emergency] : [fort.emergency, fort.nuke, fort.tasks];
+        for (const list of lists) {
+            for (const id of list || []) {
+                const claimer = fort.claims[id];
+                if (claimer && claimer !== creep.name && Game.creeps[claimer]) continue;
+                
+                const structure = Game.getObjectById(id);
+                if (!structure || structure.hits >= this.getTarget(fort, structure)) continue;
+                
+                fort.claims[id] = creep.name;
+                return structure;
+            }
+        }
+        
+        return null;
+    },
+    
+    /**
+     * Get the fortification a tower should repair
+     * Ramparts about to decay always come first, the weakest only when the tower can spare it.
+     * @param {StructureTower} tower - The tower asking for work
+     * @returns {Structure|null} - Rampart or wall to repair, or null if none
+     */
+    getTowerTask: function(tower) {
+        const fort = tower.room.memory.fortification;
+        if (!fort || !fort.tasks) return null;
+        
+        const lists = tower.store[RESOURCE_ENERGY] >= this.TOWER_RESERVE ?
+            [fort.emergency, fort.tasks] : [fort.emergency];
+        
+        for (const list of lists) {
+            for (const id of list || []) {
+                const structure = Game.getObjectById(id);
+                if (structure && structure.hits < fort.target) return structure;
+            }
+        }
+        
+        return null;
+    },
+    
+    /**
+     * Get the hits a fortification should be repaired to
+     * @param {Object} fort - Fortification memory of the room
+     * @param {Structure} structure - The rampart or wall
+     * @returns {number} - Room target, or more for ramparts shielding against a nuke
+     */
+    getTarget: function(fort, structure) {
+        const nukeHits = fort.nukeHits && fort.nukeHits[structure.id];
+        return nukeHits ? Math.max(nukeHits, fort.target) : fort.target;
+    },
+    
+    /**
+     * Check whether a structure has reached the fortification target
+     * @param {Structure} structure - The structure to check
+     * @returns {boolean} - True for ramparts and walls at or above the target
+     */
+    isDone: function(structure) {
+        if (structure.structureType !== STRUCTURE_RAMPART &&
+            structure.structureType !== STRUCTURE_CONSTRUCTED_WALL) {
+            return false;
+        }
+        
+        const fort = structure.room.memory.fortification;
+        return !fort || structure.hits >= this.getTarget(fort, structure);
+    }
+};
+
+module.exports = fortificationManager;
@@ -0,0 +1,751 @@
+/**
+ * Layout Planner - Plans the complete base layout of a room for every RCL at once
+ * CPU optimized for maximum efficiency
+ */
+const layoutPlanner = {
+    // Bump to replan every room after changing the stamps
+    VERSION: 3,
+    
+    // Existing structures of these types are kept in place and count towards the limits
+    KEEP_TYPES: [
+        STRUCTURE_SPAWN, STRUCTURE_EXTENSION, STRUCTURE_TOWER, STRUCTURE_STORAGE, STRUCTURE_TERMINAL,
+        STRUCTURE_LINK, STRUCTURE_LAB, STRUCTURE_FACTORY, STRUCTURE_POWER_SPAWN, STRUCTURE_NUKER,
+        STRUCTURE_OBSERVER, STRUCTURE_CONTAINER
+    ],
+    
+    // Core structures that move next to the core when an older building holds their stamp tile
+    CORE_TYPES: [STRUCTURE_SPAWN, STRUCTURE_STORAGE, STRUCTURE_TERMINAL, STRUCTURE_POWER_SPAWN, STRUCTURE_FACTORY],
+    
+    // Tile states while planning
+    FREE: 0,
+    ROAD: 1,
+    BUILT: 2,
+    
+    // Core stamp around the anchor - the anchor itself is the hub tile for a filler creep
+    CORE_STAMP: {
+        structures: [
+            { x: -1, y: -1, type: STRUCTURE_SPAWN },
+            { x: 1, y: -1, type: STRUCTURE_SPAWN },
+            { x: 0, y: -2, type: STRUCTURE_SPAWN },
+            { x: 0, y: -1, type: STRUCTURE_STORAGE },
+            { x: -1, y: 0, type: STRUCTURE_TERMINAL },
+            { x: 1, y: 0, type: STRUCTURE_LINK, role: 'storage' },
+            { x: -1, y: 1, type: STRUCTURE_POWER_SPAWN },
+            { x: 0, y: 1, type: STRUCTURE_FACTORY }
+        ],
+        roads: [
+            { x: 0, y: 0 }, { x: 1, y: 1 },
+            { x: -2, y: -2 }, { x: -1, y: -2 }, { x: 1, y: -2 }, { x: 2, y: -2 },
+            { x: -2, y: -1 }, { x: 2, y: -1 }, { x: -2, y: 0 }, { x: 2, y: 0 },
+            { x: -2, y: 1 }, { x: 2, y: 1 },
+            { x: -2, y: 2 }, { x: -1, y: 2 }, { x: 0, y: 2 }, { x: 1, y: 2 }, { x: 2, y: 2 }
+        ]
+    },
+    
+    // Plus-shaped extension stamp: five extensions inside a diamond of roads
+    EXTENSION_STAMP: {
+        structures: [
+            { x: 0, y: 0 }, { x: 0, y: -1 }, { x: 1, y: 0 }, { x: 0, y: 1 }, { x: -1, y: 0 }
+        ],
+        roads: [
+            { x: 0, y: -2 }, { x: 1, y: -1 }, { x: 2, y: 0 }, { x: 1, y: 1 },
+            { x: 0, y: 2 }, { x: -1, y: 1 }, { x: -2, y: 0 }, { x: -1, y: -1 }
+        ]
+    },
+    
+    // 4x4 lab cluster - the first two labs are in range 2 of all others
+    LAB_STAMP: {
+        structures: [
+            { x: 1, y: 1 }, { x: 2, y: 2 },
+            { x: 1, y: 0 }, { x: 2, y: 0 }, { x: 0, y: 1 }, { x: 3, y: 1 },
+            { x: 0, y: 2 }, { x: 3, y: 2 }, { x: 1, y: 3 }, { x: 2, y: 3 }
+        ],
+        roads: [
+            { x: 3, y: 0 }, { x: 2, y: 1 }, { x: 1, y: 2 }, { x: 0, y: 3 }
+        ]
+    },
+    
+    /**
+     * Plan the layout of a room and store it in room.memory.layout
+     * @param {Room} room - The room to plan
+     * @returns {Object|null} - The layout or null if no anchor fits
+     */
+    plan: function(room) {
+        const cpuStart = Game.cpu.getUsed();
+        const terrain = room.getTerrain();
+        
+        // Structures can't go on or next to the room edge
+        const buildable = new Uint8Array(2500);
+        for (let x = 2; x <= 47; x++) {
+            for (let y = 2; y <= 47; y++) {
+                if (terrain.get(x, y) !== TERRAIN_MASK_WALL) buildable[y * 50 + x] = 1;
+            }
+        }
+        
+        const dt = this.distanceTransform(buildable);
+        const anchor = this.findAnchor(room, dt, buildable);
+        if (!anchor) {
+            console.log(`Layout planning failed in room ${room.name}: no space for the core`);
+            return null;
+        }
+        
+        const plan = {
+            room: room,
+            terrain: terrain,
+            buildable: buildable,
+            grid: new Uint8Array(2500),
+            anchor: anchor,
+            structures: {},
+            seeded: {},
+            roadRcl: {}
+        };
+        
+        this.seedExisting(plan);
+        
+        const distances = this.floodFill(terrain, anchor);
+        const order = distances.order;
+        
+        this.placeStamp(plan, this.CORE_STAMP, anchor.x, anchor.y, 1);
+        for (const type of this.CORE_TYPES) {
+            this.placeSingles(plan, order, type, this.getRemaining(plan, type));
+        }
+        this.placeSourceStructures(plan);
+        
+        this.placeSingles(plan, order, STRUCTURE_TOWER, this.getRemaining(plan, STRUCTURE_TOWER));
+        this.placeLabs(plan, order);
+        this.placeExtensions(plan, order);
+        this.placeSingles(plan, order, STRUCTURE_NUKER, this.getRemaining(plan, STRUCTURE_NUKER));
+        this.placeSingles(plan, order, STRUCTURE_OBSERVER, this.getRemaining(plan, STRUCTURE_OBSERVER));
+        this.placeMineralStructures(plan);
+        this.addUnclaimed(plan);
+        this.connectRoads(plan);
+        
+        const layout = {
+            version: this.VERSION,
+            anchor: anchor,
+            structures: plan.structures,
+            planned: Game.time
+        };
+        
+        // Roads carry the RCL at which the structures they serve can be built
+        layout.structures[STRUCTURE_ROAD] = Object.keys(plan.roadRcl)
+            .map(key => {
+                const i = Number(key);
+                return { x: i % 50, y: Math.floor(i / 50), rcl: plan.roadRcl[key] };
+            })
+            .sort((a, b) => a.rcl - b.rcl || distances.dist[a.y * 50 + a.x] - distances.dist[b.y * 50 + b.x]);
+        
+        // Perimeter around the core and controller, see rampartPlanner
+        layout.structures[STRUCTURE_RAMPART] = require('rampartPlanner').plan(room, anchor);
+        
+        room.memory.layout = layout;
+        
+        const count = type => (layout.structures[type] || []).length;
+        console.log(`Planned layout for room ${room.name} around (${anchor.x},${anchor.y}): ` +
+            `${count(STRUCTURE_EXTENSION)} extensions, ${count(STRUCTURE_TOWER)} towers, ` +
+            `${count(STRUCTURE_LAB)} labs, ${count(STRUCTURE_ROAD)} roads, ${count(STRUCTURE_RAMPART)} ramparts ` +
+            `in ${(Game.cpu.getUsed() - cpuStart).toFixed(1)} CPU`);
+        
+        return layout;
+    },
+    
+    /**
+     * Put the room's existing structures and roads into the plan so stamps are placed around them
+     * Containers and links wait in plan.seeded until placeSourceStructures claims them for a role.
+     * @param {Object} plan - Planning state
+     */
+    seedExisting: function(plan) {
+        for (const structure of plan.room.find(FIND_STRUCTURES)) {
+            const type = structure.structureType;
+            const { x, y } = structure.pos;
+            
+            if (type === STRUCTURE_ROAD) {
+                this.addRoad(plan, x, y, 1);
+                continue;
+            }
+            if (this.KEEP_TYPES.indexOf(type) === -1 || (structure.owner && !structure.my)) continue;
+            
+            if (type === STRUCTURE_CONTAINER || type === STRUCTURE_LINK) {
+                if (!plan.seeded[type]) plan.seeded[type] = [];
+                plan.seeded[type].push({ x, y });
+                plan.grid[y * 50 + x] = this.BUILT;
+            } else {
+                this.addStructure(plan, type, x, y);
+            }
+        }
+    },
+    
+    /**
+     * Take an existing container or link near a position out of the seeded list
+     * @param {Object} plan - Planning state
+     * @param {string} type - STRUCTURE_CONTAINER or STRUCTURE_LINK
+     * @param {Object} pos - Position it must be near
+     * @param {number} range - Maximum range from the position
+     * @returns {Object|null} - Position of the claimed structure or null if there is none
+     */
+    claimSeeded: function(plan, type, pos, range) {
+        const seeded = plan.seeded[type] || [];
+        const index = seeded.findIndex(s => Math.max(Math.abs(s.x - pos.x), Math.abs(s.y - pos.y)) <= range);
+        if (index === -1) return null;
+        
+        return seeded.splice(index, 1)[0];
+    },
+    
+    /**
+     * Keep existing containers and links no role claimed
+     * @param {Object} plan - Planning state
+     */
+    addUnclaimed: function(plan) {
+        for (const type in plan.seeded) {
+            for (const pos of plan.seeded[type]) {
+                this.addStructure(plan, type, pos.x, pos.y);
+            }
+        }
+        plan.seeded = {};
+    },
+    
+    /**
+     * Number of structures of a type the plan can still add at RCL 8
+     * @param {Object} plan - Planning state
+     * @param {string} type - Structure type
+     * @returns {number} - Remaining count, existing and planned ones subtracted
+     */
+    getRemaining: function(plan, type) {
+        const planned = (plan.structures[type] || []).length + (plan.seeded[type] || []).length;
+        return Math.max(0, CONTROLLER_STRUCTURES[type][8] - planned);
+    },
+    
+    /**
+     * Chebyshev distance transform - each tile gets its distance to the nearest unbuildable tile
+     * @param {Uint8Array} buildable - 1 for buildable tiles
+     * @returns {Uint8Array} - Distance per tile, 0 for unbuildable tiles
+     */
+    distanceTransform: function(buildable) {
+        const dt = new Uint8Array(2500);
+        const get = (x, y) => (x < 0 || y < 0 || x > 49 || y > 49) ? 0 : dt[y * 50 + x];
+        
+        for (let i = 0; i < 2500; i++) {
+            dt[i] = buildable[i] ? 255 : 0;
+        }
+        
+        // Forward pass from the top left
+        for (let y = 0; y < 50; y++) {
+            for (let x = 0; x < 50; x++) {
+                const i = y * 50 + x;
+                if (dt[i] === 0) continue;
+                dt[i] = Math.min(dt[i], get(x - 1, y) + 1, get(x - 1, y - 1) + 1,
+                    get(x, y - 1) + 1, get(x + 1, y - 1) + 1);
+            }
+        }
+        
+        // Backward pass from the bottom right
+        for (let y = 49; y >= 0; y--) {
+            for (let x = 49; x >= 0; x--) {
+                const i = y * 50 + x;
+                if (dt[i] === 0) continue;
+                dt[i] = Math.min(dt[i], get(x + 1, y) + 1, get(x + 1, y + 1) + 1,
+                    get(x, y + 1) + 1, get(x - 1, y + 1) + 1);
+            }
+        }
+        
+        return dt;
+    },
+    
+    /**
+     * Find the anchor tile for the core stamp
+     * Rooms with a spawn keep it as one of the core spawns if the core fits around it.
+     * @param {Room} room - The room to plan
+     * @param {Uint8Array} dt - Distance transform of buildable tiles
+     * @param {Uint8Array} buildable - 1 for buildable tiles
+     * @returns {Object|null} - Anchor position or null if the core fits nowhere
+     */
+    findAnchor: function(room, dt, buildable) {
+        const coreSpawns = this.CORE_STAMP.structures.filter(s => s.type === STRUCTURE_SPAWN);
+        
+        for (const spawn of room.find(FIND_MY_SPAWNS)) {
+            for (const slot of coreSpawns) {
+                const x = spawn.pos.x - slot.x;
+                const y = spawn.pos.y - slot.y;
+                if (x >= 2 && y >= 2 && x <= 47 && y <= 47 && dt[y * 50 + x] >= 3) {
+                    return { x, y };
+                }
+            }
+        }
+        
+        // Otherwise the open tile closest to the controller and sources
+        const targets = [room.controller.pos, ...room.find(FIND_SOURCES).map(s => s.pos)];
+        let best = null;
+        let bestScore = Infinity;
+        
+        for (let x = 2; x <= 47; x++) {
+            for (let y = 2; y <= 47; y++) {
+                const space = dt[y * 50 + x];
+                if (space < 3) continue;
+                
+                // Extra space around the core is worth a few tiles of walking
+                const score = targets.reduce((sum, pos) => sum + pos.getRangeTo(x, y), 0) - Math.min(space, 6);
+                if (score < bestScore) {
+                    bestScore = score;
+                    best = { x, y };
+                }
+            }
+        }
+        
+        return best;
+    },
+    
+    /**
+     * Walking distance from the anchor to every reachable tile
+     * @param {RoomTerrain} terrain - Terrain of the room
+     * @param {Object} anchor - Start position
+     * @returns {Object} - { dist: Uint16Array, order: tile indices sorted by distance }
+     */
+    floodFill: function(terrain, anchor) {
+        const dist = new Uint16Array(2500).fill(65535);
+        const order = [];
+        const start = anchor.y * 50 + anchor.x;
+        dist[start] = 0;
+        order.push(start);
+        
+        for (let head = 0; head < order.length; head++) {
+            const i = order[head];
+            const x = i % 50;
+            const y = Math.floor(i / 50);
+            
+            for (let dx = -1; dx <= 1; dx++) {
+                for (let dy = -1; dy <= 1; dy++) {
+                    const nx = x + dx;
+                    const ny = y + dy;
+                    if (nx < 1 || ny < 1 || nx > 48 || ny > 48) continue;
+                    
+                    const n = ny * 50 + nx;
+                    if (dist[n] !== 65535 || terrain.get(nx, ny) === TERRAIN_MASK_WALL) continue;
+                    
+                    dist[n] = dist[i] + 1;
+                    order.push(n);
+                }
+            }
+        }
+        
+        return { dist, order };
+    },
+    
+    /**
+     * Check whether a stamp fits at a position
+     * @param {Object} plan - Planning state
+     * @param {Object} stamp - Stamp with structure and road offsets
+     * @param {number} x - Stamp origin x
+     * @param {number} y - Stamp origin y
+     * @returns {boolean} - True if every structure tile is free and no road hits a structure
+     */
+    fitsStamp: function(plan, stamp, x, y) {
+        for (const offset of stamp.structures) {
+            const i = (y + offset.y) * 50 + (x + offset.x);
+            const tx = x + offset.x;
+            const ty = y + offset.y;
+            if (tx < 2 || ty < 2 || tx > 47 || ty > 47) return false;
+            if (!plan.buildable[i] || plan.grid[i] !== this.FREE) return false;
+        }
+        
+        for (const offset of stamp.roads) {
+            const tx = x + offset.x;
+            const ty = y + offset.y;
+            if (tx < 1 || ty < 1 || tx > 48 || ty > 48) return false;
+            if (plan.terrain.get(tx, ty) === TERRAIN_MASK_WALL) return false;
+            if (plan.grid[ty * 50 + tx] === this.BUILT) return false;
+        }
+        
+        return true;
+    },
+    
+    /**
+     * Place a stamp's structures and roads
+     * @param {Object} plan - Planning state
+     * @param {Object} stamp - Stamp with structure and road offsets
+     * @param {number} x - Stamp origin x
+     * @param {number} y - Stamp origin y
+     * @param {number} roadRcl - RCL at which the stamp's roads are needed
+     * @param {string} type - Structure type for stamps that don't name one per tile
+     * @param {number} limit - Maximum number of structures to place
+     * @returns {number} - Number of structures placed
+     */
+    placeStamp: function(plan, stamp, x, y, roadRcl, type, limit = Infinity) {
+        let placed = 0;
+        for (const offset of stamp.structures) {
+            if (placed >= limit) break;
+            
+            // Tiles taken by existing buildings and roads, or types already at their limit, are left out
+            const structureType = offset.type || type;
+            if (plan.grid[(y + offset.y) * 50 + (x + offset.x)] !== this.FREE) continue;
+            if (this.getRemaining(plan, structureType) <= 0) continue;
+            
+            const extra = offset.role ? { role: offset.role } : null;
+            this.addStructure(plan, structureType, x + offset.x, y + offset.y, extra);
+            placed++;
+        }
+        
+        for (const offset of stamp.roads) {
+            this.addRoad(plan, x + offset.x, y + offset.y, roadRcl);
+        }
+        
+        return placed;
+    },
+    
+    /**
+     * Add a structure to the plan
+     * @param {Object} plan - Planning state
+     * @param {string} type - Structure type
+     * @param {number} x - X position
+     * @param {number} y - Y position
+     * @param {Object} extra - Extra fields to store with the position
+     */
+    addStructure: function(plan, type, x, y, extra) {
+        if (!plan.structures[type]) plan.structures[type] = [];
+        plan.structures[type].push(Object.assign({ x, y }, extra));
+        plan.grid[y * 50 + x] = this.BUILT;
+    },
+    
+    /**
+     * Add a road to the plan, keeping the lowest RCL that needs it
+     * @param {Object} plan - Planning state
+     * @param {number} x - X position
+     * @param {number} y - Y position
+     * @param {number} rcl - RCL at which the road is needed
+     */
+    addRoad: function(plan, x, y, rcl) {
+        const i = y * 50 + x;
+        if (plan.grid[i] === this.BUILT) return;
+        
+        plan.grid[i] = this.ROAD;
+        plan.roadRcl[i] = Math.min(plan.roadRcl[i] || 8, rcl);
+    },
+    
+    /**
+     * Get the RCL at which the n-th structure of a type becomes available
+     * @param {string} type - Structure type
+     * @param {number} index - Zero-based index of the structure
+     * @returns {number} - RCL, 8 if never more are allowed
+     */
+    getMinRcl: function(type, index) {
+        for (let rcl = 1; rcl <= 8; rcl++) {
+            if (CONTROLLER_STRUCTURES[type][rcl] > index) return rcl;
+        }
+        return 8;
+    },
+    
+    /**
+     * Find the free tile next to an anchor with the most open neighbours
+     * @param {Object} plan - Planning state
+     * @param {Object} anchor - Position the tile must be in range of
+     * @param {number} range - Maximum range from the anchor
+     * @param {boolean} needsBuildable - True for structures other than containers
+     * @returns {Object|null} - Position object or null if no valid position
+     */
+    findOpenTile: function(plan, anchor, range, needsBuildable) {
+        let bestPos = null;
+        let bestScore = -1;
+        
+        for (let dx = -range; dx <= range; dx++) {
+            for (let dy = -range; dy <= range; dy++) {
+                if (dx === 0 && dy === 0) continue;
+                
+                const x = anchor.x + dx;
+                const y = anchor.y + dy;
+                if (x < 1 || y < 1 || x > 48 || y > 48) continue;
+                
+                const i = y * 50 + x;
+                if (plan.grid[i] !== this.FREE || plan.terrain.get(x, y) === TERRAIN_MASK_WALL) continue;
+                if (needsBuildable && !plan.buildable[i]) continue;
+                
+                // Prefer closer tiles with more walkable neighbours
+                let score = (range - Math.max(Math.abs(dx), Math.abs(dy))) * 2;
+                for (let nx = -1; nx <= 1; nx++) {
+                    for (let ny = -1; ny <= 1; ny++) {
+                        if (plan.terrain.get(x + nx, y + ny) !== TERRAIN_MASK_WALL) score++;
+                    }
+                }
+                
+                if (score > bestScore) {
+                    bestScore = score;
+                    bestPos = { x, y };
+                }
+            }
+        }
+        
+        return bestPos;
+    },
+    
+    /**
+     * Plan containers and links at the sources and the controller
+     * Links are ordered controller, farthest source, storage, remaining sources.
+     * @param {Object} plan - Planning state
+     */
+    placeSourceStructures: function(plan) {
+        const room = plan.room;
+        const links = [];
+        
+        // Upgraders stand around the controller container, its link feeds it
+        const controllerContainer = this.claimSeeded(plan, STRUCTURE_CONTAINER, room.controller.pos, 2) ||
+            this.findOpenTile(plan, room.controller.pos, 2, false);
+        if (controllerContainer) {
+            this.addStructure(plan, STRUCTURE_CONTAINER, controllerContainer.x, controllerContainer.y, { role: 'controller' });
+            
+            const link = this.claimSeeded(plan, STRUCTURE_LINK, room.controller.pos, 4) ||
+                this.findOpenTile(plan, controllerContainer, 1, true);
+            if (link) {
+                plan.grid[link.y * 50 + link.x] = this.BUILT;
+                links.push({ x: link.x, y: link.y, role: 'controller' });
+            }
+        }
+        
+        const sourceLinks = [];
+        if (!room.memory.sources) room.memory.sources = {};
+        
+        for (const source of room.find(FIND_SOURCES)) {
+            const container = this.claimSeeded(plan, STRUCTURE_CONTAINER, source.pos, 1) ||
+                this.findOpenTile(plan, source.pos, 1, false);
+            if (!container) continue;
+            
+            this.addStructure(plan, STRUCTURE_CONTAINER, container.x, container.y, { role: 'source', sourceId: source.id });
+            
+            // Miners park on the container, haulers are sized from the path to it
+            if (!room.memory.sources[source.id]) room.memory.sources[source.id] = {};
+            room.memory.sources[source.id].containerPos = container;
+            delete room.memory.sources[source.id].pathLength;
+            
+            const link = this.claimSeeded(plan, STRUCTURE_LINK, source.pos, 2) ||
+                this.findOpenTile(plan, container, 1, true);
+            if (link) {
+                plan.grid[link.y * 50 + link.x] = this.BUILT;
+                sourceLinks.push({
+                    x: link.x,
+                    y: link.y,
+                    role: 'source',
+                    sourceId: source.id,
+                    range: source.pos.getRangeTo(plan.anchor.x, plan.anchor.y)
+                });
+            }
+        }
+        
+        // The farthest source saves the most hauling, so it gets the first source link
+        sourceLinks.sort((a, b) => b.range - a.range);
+        if (sourceLinks.length > 0) links.push(sourceLinks.shift());
+        
+        const storageLink = plan.structures[STRUCTURE_LINK] || [];
+        links.push(...storageLink, ...sourceLinks);
+        
+        // Existing links no role claimed still count towards the limit
+        plan.structures[STRUCTURE_LINK] = links.slice(0, this.getRemaining(plan, STRUCTURE_LINK) + storageLink.length).map(link => {
+            const entry = { x: link.x, y: link.y, role: link.role };
+            if (link.sourceId) entry.sourceId = link.sourceId;
+            return entry;
+        });
+    },
+    
+    /**
+     * Plan the lab cluster as close to the core as it fits
+     * @param {Object} plan - Planning state
+     * @param {number[]} order - Tile indices sorted by distance from the anchor
+     */
+    placeLabs: function(plan, order) {
+        if (this.getRemaining(plan, STRUCTURE_LAB) === 0) return;
+        
+        for (const i of order) {
+            const x = i % 50;
+            const y = Math.floor(i / 50);
+            if (this.fitsStamp(plan, this.LAB_STAMP, x, y)) {
+                this.placeStamp(plan, this.LAB_STAMP, x, y, this.getMinRcl(STRUCTURE_LAB, 0), STRUCTURE_LAB);
+                return;
+            }
+        }
+        
+        console.log(`Layout planning in room ${plan.room.name}: no space for the lab cluster`);
+    },
+    
+    /**
+     * Plan extension stamps outward from the core
+     * Stamps on the (3,1)/(-1,3) lattice share their roads and tile the plane,
+     * so those positions are tried before any other.
+     * @param {Object} plan - Planning state
+     * @param {number[]} order - Tile indices sorted by distance from the anchor
+     */
+    placeExtensions: function(plan, order) {
+        const existing = (plan.structures[STRUCTURE_EXTENSION] || []).length;
+        const needed = this.getRemaining(plan, STRUCTURE_EXTENSION);
+        const onLattice = (x, y) => ((3 * (x - plan.anchor.x) + (y - plan.anchor.y)) % 10 + 10) % 10 === 0;
+        
+        plan.extensionStamps = [];
+        let placed = 0;
+        
+        for (const latticeOnly of [true, false]) {
+            for (const i of order) {
+                if (placed >= needed) return;
+                
+                const x = i % 50;
+                const y = Math.floor(i / 50);
+                if (latticeOnly && !onLattice(x, y)) continue;
+                if (!this.fitsStamp(plan, this.EXTENSION_STAMP, x, y)) continue;
+                
+                // Roads are only needed once the stamp's first extension can be built
+                const rcl = this.getMinRcl(STRUCTURE_EXTENSION, existing + placed);
+                placed += this.placeStamp(plan, this.EXTENSION_STAMP, x, y, rcl, STRUCTURE_EXTENSION, needed - placed);
+                plan.extensionStamps.push({ x, y, rcl });
+            }
+        }
+        
+        if (placed < needed) {
+            console.log(`Layout planning in room ${plan.room.name}: only ${placed}/${needed} extensions fit`);
+        }
+    },
+    
+    /**
+     * Plan single structures on free tiles next to planned roads, closest to the core first
+     * @param {Object} plan - Planning state
+     * @param {number[]} order - Tile indices sorted by distance from the anchor
+     * @param {string} type - Structure type
+     * @param {number} count - Number of structures to place
+     */
+    placeSingles: function(plan, order, type, count) {
+        let placed = 0;
+        
+        for (const i of order) {
+            if (placed >= count) return;
+            if (!plan.buildable[i] || plan.grid[i] !== this.FREE) continue;
+            
+            const x = i % 50;
+            const y = Math.floor(i / 50);
+            
+            let nextToRoad = false;
+            for (let dx = -1; dx <= 1 && !nextToRoad; dx++) {
+                for (let dy = -1; dy <= 1 && !nextToRoad; dy++) {
+                    if (plan.grid[(y + dy) * 50 + (x + dx)] === this.ROAD) nextToRoad = true;
+                }
+            }
+            if (!nextToRoad) continue;
+            
+            this.addStructure(plan, type, x, y);
+            placed++;
+        }
+    },
+    
+    /**
+     * Plan the extractor and a container next to the mineral
+     * @param {Object} plan - Planning state
+     */
+    placeMineralStructures: function(plan) {
+        const mineral = plan.room.find(FIND_MINERALS)[0];
+        if (!mineral) return;
+        
+        const rcl = this.getMinRcl(STRUCTURE_EXTRACTOR, 0);
+        this.addStructure(plan, STRUCTURE_EXTRACTOR, mineral.pos.x, mineral.pos.y);
+        
+        const container = this.claimSeeded(plan, STRUCTURE_CONTAINER, mineral.pos, 1) ||
+            this.findOpenTile(plan, mineral.pos, 1, false);
+        if (container) {
+            this.addStructure(plan, STRUCTURE_CONTAINER, container.x, container.y, { role: 'mineral', rcl: rcl });
+        }
+    },
+    
+    /**
+     * Connect containers, the lab cluster and extension stamps to the core with roads
+     * @param {Object} plan - Planning state
+     */
+    connectRoads: function(plan) {
+        const costs = new PathFinder.CostMatrix();
+        for (let i = 0; i < 2500; i++) {
+            if (plan.grid[i] === this.BUILT) costs.set(i % 50, Math.floor(i / 50), 255);
+            else if (plan.grid[i] === this.ROAD) costs.set(i % 50, Math.floor(i / 50), 1);
+        }
+        
+        const origin = new RoomPosition(plan.anchor.x, plan.anchor.y, plan.room.name);
+        const targets = [];
+        
+        for (const container of plan.structures[STRUCTURE_CONTAINER] || []) {
+            targets.push({ x: container.x, y: container.y, rcl: container.rcl || 1 });
+        }
+        
+        const labs = plan.structures[STRUCTURE_LAB];
+        if (labs && labs.length > 0) {
+            targets.push({ x: labs[0].x, y: labs[0].y, rcl: this.getMinRcl(STRUCTURE_LAB, 0) });
+        }
+        
+        for (const stamp of plan.extensionStamps || []) {
+            targets.push(stamp);
+        }
+        
+        for (const target of targets) {
+            const result = PathFinder.search(origin, {
+                pos: new RoomPosition(target.x, target.y, plan.room.name),
+                range: 1
+            }, {
+                plainCost: 2,
+                swampCost: 10,
+                maxRooms: 1,
+                roomCallback: () => costs
+            });
+            
+            if (result.incomplete) continue;
+            
+            for (const step of result.path) {
+                this.addRoad(plan, step.x, step.y, target.rcl);
+                if (plan.grid[step.y * 50 + step.x] === this.ROAD) costs.set(step.x, step.y, 1);
+            }
+        }
+    },
+    
+    /**
+     * Get the directions a spawn should push new creeps out in
+     * Planned roads next to the spawn, farthest from the anchor first, so new creeps
+     * don't land on the core's center tile or block the other spawns. Other free tiles
+     * follow so a spawn with blocked or unbuilt roads still has a way out.
+     * @param {Room} room - The room of the spawn
+     * @param {StructureSpawn} spawn - The spawn
+     * @returns {number[]|null} - Directions, or null to let the spawn pick any free tile
+     */
+    getSpawnDirections: function(room, spawn) {
+        const layout = room.memory.layout;
+        if (!layout || !layout.anchor) return null;
+        
+        const anchor = layout.anchor;
+        const exits = [];
+        for (const road of layout.structures[STRUCTURE_ROAD] || []) {
+            if (Math.max(Math.abs(road.x - spawn.pos.x), Math.abs(road.y - spawn.pos.y)) !== 1) continue;
+            if (road.x === anchor.x && road.y === anchor.y) continue;
+            
+            exits.push({
+                direction: spawn.pos.getDirectionTo(road.x, road.y),
+                range: Math.max(Math.abs(road.x - anchor.x), Math.abs(road.y - anchor.y))
+            });
+        }
+        
+        exits.sort((a, b) => b.range - a.range);
+        const directions = exits.map(exit => exit.direction);
+        
+        // Any other walkable tile without an obstacle on it, the core's center last
+        const terrain = room.getTerrain();
+        const others = [];
+        for (let dx = -1; dx <= 1; dx++) {
+            for (let dy = -1; dy <= 1; dy++) {
+                const x = spawn.pos.x + dx;
+                const y = spawn.pos.y + dy;
+                if ((dx === 0 && dy === 0) || x < 1 || x > 48 || y < 1 || y > 48) continue;
+                if (terrain.get(x, y) === TERRAIN_MASK_WALL) continue;
+                
+                const direction = spawn.pos.getDirectionTo(x, y);
+                if (directions.indexOf(direction) !== -1) continue;
+                
+                const blocked = room.lookForAt(LOOK_STRUCTURES, x, y)
+                    .some(s => OBSTACLE_OBJECT_TYPES.indexOf(s.structureType) !== -1);
+                if (blocked) continue;
+                
+                if (x === anchor.x && y === anchor.y) others.push(direction);
+                else others.unshift(direction);
+            }
+        }
+        
+        const all = directions.concat(others);
+        return all.length > 0 ? all : null;
+    }
+};
+
+module.exports = layoutPlanner;
@@ -0,0 +1,149 @@
+/**
+ * Link Manager - Moves energy from source links to the controller and storage links
+ * CPU optimized for maximum efficiency
+ */
+const linkManager = {
+    // Source links send once they hold at least this much energy
+    SEND_THRESHOLD: 400,
+    
+    // Controller link is topped up from the storage link below this amount
+    CONTROLLER_REFILL_THRESHOLD: 400,
+    
+    /**
+     * Run link transfers for a room
+     * @param {Room} room - The room to manage links for
+     */
+    run: function(room) {
+        if (!room.controller || !room.controller.my || room.controller.level < 5) return;
+        
+        const links = this.getLinks(room);
+        if (!links) return;
+        
+        const controllerLink = links.controller ? Game.getObjectById(links.controller) : null;
+        const storageLink = links.storage ? Game.getObjectById(links.storage) : null;
+        
+        // Energy already sent this tick - arrives before the next transfer check
+        const incoming = {};
+        const freeCapacity = link => link.store.getFreeCapacity(RESOURCE_ENERGY) - (incoming[link.id] || 0);
+        
+        for (const sourceId in links.sources) {
+            const link = Game.getObjectById(links.sources[sourceId]);
+            if (!link || link.cooldown > 0 || link.store[RESOURCE_ENERGY] < this.SEND_THRESHOLD) continue;
+            
+            // Controller first so upgraders never walk, storage takes the rest
+            let target = null;
+            if (controllerLink && freeCapacity(controllerLink) >= link.store[RESOURCE_ENERGY] / 2) {
+                target = controllerLink;
+            } else if (storageLink && freeCapacity(storageLink) > 0) {
+                target = storageLink;
+            }
+            
+            if (!target) continue;
+            
+            const amount = Math.min(link.store[RESOURCE_ENERGY], freeCapacity(target));
+            if (link.transferEnergy(target, amount) === OK) {
+                incoming[target.id] = (incoming[target.id] || 0) + amount;
+            }
+        }
+        
+        // Keep the controller link fed from storage when the sources can't
+        if (storageLink && controllerLink && storageLink.cooldown === 0 &&
+            !incoming[controllerLink.id] &&
+            controllerLink.store[RESOURCE_ENERGY] < this.CONTROLLER_REFILL_THRESHOLD &&
+            storageLink.store[RESOURCE_ENERGY] > 0) {
+            
+            const amount = Math.min(storageLink.store[RESOURCE_ENERGY], freeCapacity(controllerLink));
+            if (amount > 0) {
+                storageLink.transferEnergy(controllerLink, amount);
+            }
+        }
+    },
+    
+    /**
+     * Get the link IDs of a room by purpose, refreshed every 100 ticks
+     * @param {Room} room - The room to get links for
+     * @returns {Object|null} - { sources: {sourceId: linkId}, controller, storage } or null if no links
+     */
+    getLinks: function(room) {
+        const cached = room.memory.links;
+        if (cached && Game.time - cached.time < 100) {
+            return cached;
+        }
+        
+        const links = room.find(FIND_MY_STRUCTURES, {
+            filter: s => s.structureType === STRUCTURE_LINK
+        });
+        
+        if (links.length === 0) {
+            delete room.memory.links;
+            return null;
+        }
+        
+        const result = { sources: {}, controller: null, storage: null, time: Game.time };
+        
+        // Planned positions tell us exactly what each link is for
+        const layout = room.memory.layout;
+        const planned = {};
+        if (layout && layout.structures[STRUCTURE_LINK]) {
+            for (const pos of layout.structures[STRUCTURE_LINK]) {
+                planned[`${pos.x},${pos.y}`] = pos;
+            }
+        }
+        
+        const sources = room.find(FIND_SOURCES);
+        
+        for (const link of links) {
+            const entry = planned[`${link.pos.x},${link.pos.y}`];
+            
+            if (entry && entry.role) {
+                if (entry.role === 'source') {
+                    result.sources[entry.sourceId] = link.id;
+                } else {
+                    result[entry.role] = link.id;
+                }
+                continue;
+            }
+            
+            // Links built by hand - classify by proximity
+            const source = sources.find(s => link.pos.inRangeTo(s, 2));
+            if (source) {
+                result.sources[source.id] = link.id;
+            } else if (room.storage && link.pos.inRangeTo(room.storage, 2)) {
+                result.storage = link.id;
+            } else if (link.pos.inRangeTo(room.controller, 4)) {
+                result.controller = link.id;
+            }
+        }
+        
+        room.memory.links = result;
+        return result;
+    },
+    
+    /**
+     * Get the link next to a source
+     * @param {Room} room - The room the source is in
+     * @param {string} sourceId - ID of the source
+     * @returns {StructureLink|null} - The source link or null if none is built
+     */
+    getSourceLink: function(room, sourceId) {
+        const links = this.getLinks(room);
+        if (!links || !links.sources[sourceId]) return null;
+        
+        return Game.getObjectById(links.sources[sourceId]);
+    },
+    
+    /**
+     * Get the controller or storage link of a room
+     * @param {Room} room - The room to check
+     * @param {string} type - 'controller' or 'storage'
+     * @returns {StructureLink|null} - The link or null if none is built
+     */
+    getLink: function(room, type) {
+        const links = this.getLinks(room);
+        if (!links || !links[type]) return null;
+        
+        return Game.getObjectById(links[type]);
+    }
+};
+
+module.exports = linkManager;
@@ -0,0 +1,473 @@
+/**
+ * Logistics - Room broker matching supplies and demands of any resource to haulers
+ * CPU optimized for maximum efficiency
+ */
+const logistics = {
+    // Demand priorities - lower numbers are served first
+    PRIORITY: {
+        TOWER_DEFENSE: 0,
+        SPAWN: 10,
+        BUILDER: 20,
+        TOWER: 80,
+        UPGRADER: 90,
+        LAB: 100,
+        TERMINAL: 110,
+        MINERALS: 190,
+        STORAGE: 200
+    },
+    
+    // Demand resource type of bulk stores that take anything but energy
+    ANY: 'any',
+    
+    // Supply priorities - lower numbers are emptied first
+    SUPPLY_PRIORITY: {
+        DROPPED: 0,
+        CONTAINER: 5,
+        LINK: 5,
+        STORAGE: 20
+    },
+    
+    // Creep posts expire unless they are renewed
+    POST_TTL: 50,
+    
+    // Smallest pickup worth a trip, unless the demand needs less
+    MIN_AMOUNT: 50,
+    
+    // Free terminal space kept for energy and market deals when storing minerals
+    TERMINAL_SPACE: 50000,
+    
+    // Energy kept in the terminal for market orders and aid
+    TERMINAL_ENERGY: 20000,
+    
+    // Storage energy below which the terminal isn't topped up
+    TERMINAL_MIN_STORAGE: 30000,
+    
+    // Per-tick broker state in heap - { roomName: { tick, demands, supplies, reservedIn, reservedOut } }
+    rooms: {},
+    
+    /**
+     * Post a demand or supply that isn't a structure, like a builder waiting for energy
+     * Posts are kept in room memory and expire after POST_TTL ticks unless posted again.
+     * @param {Room} room - The room the request is in
+     * @param {Object} request - { id, type: 'demand'|'supply', resourceType, amount, priority }
+     */
+    post: function(room, request) {
+        if (!room.memory.logistics) room.memory.logistics = {};
+        
+        room.memory.logistics[request.id] = {
+            type: request.type,
+            resourceType: request.resourceType,
+            amount: request.amount,
+            priority: request.priority,
+            time: Game.time
+        };
+    },
+    
+    /**
+     * Withdraw a post
+     * @param {Room} room - The room the request is in
+     * @param {string} id - Id of the posting object
+     */
+    cancel: function(room, id) {
+        if (room.memory.logistics) delete room.memory.logistics[id];
+    },
+    
+    /**
+     * Drop expired posts and posts of objects that are gone
+     * @param {Room} room - The room to clean up
+     */
+    cleanup: function(room) {
+        // Superseded by logistics posts
+        delete room.memory.energyRequests;
+        
+        const posts = room.memory.logistics;
+        if (!posts) return;
+        
+        for (const id in posts) {
+            if (Game.time - posts[id].time > this.POST_TTL || !Game.getObjectById(id)) {
+                delete posts[id];
+            }
+        }
+    },
+    
+    /**
+     * Get the broker state of a room for this tick
+     * @param {Room} room - The room
+     * @returns {Object} - { tick, demands, supplies, reservedIn, reservedOut }
+     */
+    getState: function(room) {
+        let state = this.rooms[room.name];
+        if (state && state.tick === Game.time) return state;
+        
+        state = { tick: Game.time, demands: [], supplies: [], reservedIn: {}, reservedOut: {} };
+        this.scanStructures(room, state);
+        this.scanPosts(room, state);
+        
+        // Amounts already promised by haulers on their way
+        for (const creep of room.find(FIND_MY_CREEPS, { filter: c => c.memory.task })) {
+            this.reserve(state, creep.memory.task);
+        }
+        
+        this.rooms[room.name] = state;
+        return state;
+    },
+    
+    /**
+     * Roles the room's layout gives its containers
+     * @param {Room} room - The room
+     * @returns {Object} - Role by 'x,y', containers without a planned role are left out
+     */
+    getContainerRoles: function(room) {
+        const layout = room.memory.layout;
+        const roles = {};
+        if (!layout || !layout.structures[STRUCTURE_CONTAINER]) return roles;
+        
+        for (const pos of layout.structures[STRUCTURE_CONTAINER]) {
+            if (pos.role) roles[`${pos.x},${pos.y}`] = pos.role;
+        }
+        return roles;
+    },
+    
+    /**
+     * Collect the demands and supplies of a room's structures
+     * @param {Room} room - The room
+     * @param {Object} state - Broker state to fill
+     */
+    scanStructures: function(room, state) {
+        const linkManager = require('linkManager');
+        const controller = room.controller;
+        const underAttack = room.find(FIND_HOSTILE_CREEPS).length > 0;
+        const containerRoles = this.getContainerRoles(room);
+        
+        for (const s of room.find(FIND_STRUCTURES)) {
+            switch (s.structureType) {
+                case STRUCTURE_SPAWN:
+                case STRUCTURE_EXTENSION:
+                    if (s.my) this.addDemand(state, s, RESOURCE_ENERGY, s.store.getFreeCapacity(RESOURCE_ENERGY), this.PRIORITY.SPAWN);
+                    break;
+                
+                case STRUCTURE_TOWER:
+                    // Topped up in bulk in peace, kept full under attack
+                    if (s.my && (underAttack || s.store.getFreeCapacity(RESOURCE_ENERGY) > s.store.getCapacity(RESOURCE_ENERGY) * 0.2)) {
+                        this.addDemand(state, s, RESOURCE_ENERGY, s.store.getFreeCapacity(RESOURCE_ENERGY),
+                            underAttack ? this.PRIORITY.TOWER_DEFENSE : this.PRIORITY.TOWER);
+                    }
+                    break;
+                
+                case STRUCTURE_LAB:
+                    if (s.my) this.addDemand(state, s, RESOURCE_ENERGY, s.store.getFreeCapacity(RESOURCE_ENERGY), this.PRIORITY.LAB);
+                    break;
+                
+                case STRUCTURE_TERMINAL:
+                    if (!s.my) break;
+                    if (room.storage && room.storage.store[RESOURCE_ENERGY] > this.TERMINAL_MIN_STORAGE) {
+                        this.addDemand(state, s, RESOURCE_ENERGY, this.TERMINAL_ENERGY - s.store[RESOURCE_ENERGY], this.PRIORITY.TERMINAL);
+                    }
+                    this.addDemand(state, s, this.ANY, s.store.getFreeCapacity() - this.TERMINAL_SPACE, this.PRIORITY.MINERALS, true);
+                    break;
+                
+                case STRUCTURE_STORAGE:
+                    if (!s.my) break;
+                    this.addDemand(state, s, RESOURCE_ENERGY, s.store.getFreeCapacity(RESOURCE_ENERGY), this.PRIORITY.STORAGE, true);
+                    this.addDemand(state, s, this.ANY, s.store.getFreeCapacity(), this.PRIORITY.STORAGE, true);
+                    this.addSupply(state, s, RESOURCE_ENERGY, s.store[RESOURCE_ENERGY], this.SUPPLY_PRIORITY.STORAGE, true);
+                    break;
+                
+                case STRUCTURE_CONTAINER:
+                    // The planned controller container feeds upgraders, the others are filled by miners
+                    if (controller && controller.my && containerRoles[`${s.pos.x},${s.pos.y}`] === 'controller') {
+                        this.addDemand(state, s, RESOURCE_ENERGY, s.store.getFreeCapacity(RESOURCE_ENERGY), this.PRIORITY.UPGRADER);
+                    } else {
+                        this.addStoreSupplies(state, s, this.SUPPLY_PRIORITY.CONTAINER);
+                    }
+                    break;
+            }
+        }
+        
+        // Energy the controller link couldn't take
+        const storageLink = linkManager.getLink(room, 'storage');
+        if (storageLink) {
+            this.addSupply(state, storageLink, RESOURCE_ENERGY, storageLink.store[RESOURCE_ENERGY], this.SUPPLY_PRIORITY.LINK);
+        }
+        
+        // Loot decays, so big piles and ones about to vanish go first
+        for (const resource of room.find(FIND_DROPPED_RESOURCES)) {
+            const ticksLeft = resource.amount / Math.ceil(resource.amount / ENERGY_DECAY);
+            this.addSupply(state, resource, resource.resourceType, resource.amount,
+                this.getDecayPriority(resource.amount, ticksLeft));
+        }
+        for (const remains of room.find(FIND_TOMBSTONES).concat(room.find(FIND_RUINS))) {
+            this.addStoreSupplies(state, remains,
+                this.getDecayPriority(remains.store.getUsedCapacity(), remains.ticksToDecay));
+        }
+    },
+    
+    /**
+     * Add a supply for every resource in an object's store
+     * @param {Object} state - Broker state
+     * @param {RoomObject} object - Container, tombstone or ruin
+     * @param {number} priority - Lower numbers are emptied first
+     */
+    addStoreSupplies: function(state, object, priority) {
+        for (const resourceType in object.store) {
+            this.addSupply(state, object, resourceType, object.store[resourceType], priority);
+        }
+    },
+    
+    /**
+     * Supply priority of decaying loot
+     * @param {number} amount - Amount on the ground or in the remains
+     * @param {number} ticksLeft - Ticks until it is gone
+     * @returns {number} - Between 10 below and 20 above the dropped priority
+     */
+    getDecayPriority: function(amount, ticksLeft) {
+        return this.SUPPLY_PRIORITY.DROPPED - Math.min(amount, 1000) / 100 + Math.min(ticksLeft, 200) / 10;
+    },
+    
+    /**
+     * Check whether a demand takes a resource
+     * @param {Object} demand - Demand entry
+     * @param {string} resourceType - Resource to deliver
+     * @returns {boolean} - True if it matches
+     */
+    accepts: function(demand, resourceType) {
+        return demand.resourceType === resourceType ||
+            (demand.resourceType === this.ANY && resourceType !== RESOURCE_ENERGY);
+    },
+    
+    /**
+     * Add the posts of creeps and other objects to the state
+     * @param {Room} room - The room
+     * @param {Object} state - Broker state to fill
+     */
+    scanPosts: function(room, state) {
+        const posts = room.memory.logistics;
+        if (!posts) return;
+        
+        for (const id in posts) {
+            const post = posts[id];
+            const object = Game.getObjectById(id);
+            if (!object || object.pos.roomName !== room.name || Game.time - post.time > this.POST_TTL) continue;
+            
+            if (post.type === 'supply') {
+                this.addSupply(state, object, post.resourceType, post.amount, post.priority);
+            } else {
+                this.addDemand(state, object, post.resourceType, post.amount, post.priority);
+            }
+        }
+    },
+    
+    /**
+     * Add a demand to the state
+     * @param {Object} state - Broker state
+     * @param {RoomObject} object - Object that wants the resource
+     * @param {string} resourceType - Resource wanted
+     * @param {number} amount - Amount wanted
+     * @param {number} priority - Lower numbers are served first
+     * @param {boolean} [sink] - Bulk store that only takes from other supplies
+     */
+    addDemand: function(state, object, resourceType, amount, priority, sink) {
+        if (amount <= 0) return;
+        state.demands.push({ id: object.id, pos: object.pos, resourceType: resourceType, amount: amount, priority: priority, sink: !!sink });
+    },
+    
+    /**
+     * Add a supply to the state
+     * @param {Object} state - Broker state
+     * @param {RoomObject} object - Object holding the resource
+     * @param {string} resourceType - Resource on offer
+     * @param {number} amount - Amount on offer
+     * @param {number} priority - Lower numbers are emptied first
+     * @param {boolean} [sink] - Bulk store that never feeds another bulk store
+     */
+    addSupply: function(state, object, resourceType, amount, priority, sink) {
+        if (amount <= 0) return;
+        state.supplies.push({ id: object.id, pos: object.pos, resourceType: resourceType, amount: amount, priority: priority, sink: !!sink });
+    },
+    
+    /**
+     * Add a hauler task to the reserved amounts, or take it off again
+     * @param {Object} state - Broker state
+     * @param {Object} task - { pickupId, dropoffId, demandType, resourceType, amount }
+     * @param {number} [sign] - 1 to reserve, -1 to release
+     */
+    reserve: function(state, task, sign = 1) {
+        // Bulk stores reserve under the type they asked for, not the resource brought
+        const dropoffKey = `${task.dropoffId}:${task.demandType || task.resourceType}`;
+        state.reservedIn[dropoffKey] = (state.reservedIn[dropoffKey] || 0) + task.amount * sign;
+        
+        if (task.pickupId) {
+            const pickupKey = `${task.pickupId}:${task.resourceType}`;
+            state.reservedOut[pickupKey] = (state.reservedOut[pickupKey] || 0) + task.amount * sign;
+        }
+    },
+    
+    /**
+     * Amount a demand still needs after what haulers are already bringing
+     * @param {Object} state - Broker state
+     * @param {Object} demand - Demand entry
+     * @returns {number} - Unreserved need
+     */
+    getNeed: function(state, demand) {
+        return demand.amount - (state.reservedIn[`${demand.id}:${demand.resourceType}`] || 0);
+    },
+    
+    /**
+     * Amount a supply still offers after what haulers are already taking
+     * @param {Object} state - Broker state
+     * @param {Object} supply - Supply entry
+     * @returns {number} - Unreserved amount
+     */
+    getAvailable: function(state, supply) {
+        return supply.amount - (state.reservedOut[`${supply.id}:${supply.resourceType}`] || 0);
+    },
+    
+    /**
+     * Get the hauler's current task if it is still worth doing
+     * @param {Creep} creep - The hauler
+     * @returns {Object|null} - { pickupId, dropoffId, demandType, resourceType, amount } or null
+     */
+    getTask: function(creep) {
+        const task = creep.memory.task;
+        if (!task) return null;
+        
+        const dropoff = Game.getObjectById(task.dropoffId);
+        const pickup = task.pickupId ? Game.getObjectById(task.pickupId) : null;
+        
+        const valid = dropoff && dropoff.store && dropoff.store.getFreeCapacity(task.resourceType) > 0 &&
+            (task.pickupId ? !!pickup : creep.store[task.resourceType] > 0);
+        if (!valid) {
+            this.complete(creep);
+            return null;
+        }
+        
+        return task;
+    },
+    
+    /**
+     * Match a hauler to the most urgent demand it can serve
+     * Loaded haulers get a drop-off for the largest part of their cargo anything accepts,
+     * empty ones a pickup and drop-off pair.
+     * @param {Creep} creep - The hauler
+     * @returns {Object|null} - The new task, or null if there is nothing to do
+     */
+    assign: function(creep) {
+        const state = this.getState(creep.room);
+        const byPriority = (a, b) => a.priority - b.priority || creep.pos.getRangeTo(a.pos) - creep.pos.getRangeTo(b.pos);
+        
+        const cargo = this.getCargoTypes(creep);
+        let task = null;
+        
+        if (cargo.length > 0) {
+            for (const resourceType of cargo) {
+                const demand = state.demands
+                    .filter(d => this.accepts(d, resourceType) && this.getNeed(state, d) > 0)
+                    .sort(byPriority)[0];
+                if (!demand) continue;
+                
+                task = {
+                    dropoffId: demand.id,
+                    demandType: demand.resourceType,
+                    resourceType: resourceType,
+                    amount: Math.min(creep.store[resourceType], this.getNeed(state, demand))
+                };
+                break;
+            }
+        } else {
+            const capacity = creep.store.getCapacity();
+            const demands = state.demands.filter(d => this.getNeed(state, d) > 0).sort(byPriority);
+            
+            for (const demand of demands) {
+                const need = Math.min(capacity, this.getNeed(state, demand));
+                const supply = this.findSupply(state, creep, demand, need);
+                if (!supply) continue;
+                
+                task = {
+                    pickupId: supply.id,
+                    dropoffId: demand.id,
+                    demandType: demand.resourceType,
+                    resourceType: supply.resourceType,
+                    amount: Math.min(need, this.getAvailable(state, supply))
+                };
+                break;
+            }
+        }
+        
+        if (!task) return null;
+        
+        this.reserve(state, task);
+        creep.memory.task = task;
+        return task;
+    },
+    
+    /**
+     * Find the best supply for a demand
+     * @param {Object} state - Broker state
+     * @param {Creep} creep - The hauler that would fetch it
+     * @param {Object} demand - Demand entry
+     * @param {number} need - Amount the hauler would bring
+     * @returns {Object|null} - Supply entry, or null if none can serve the demand
+     */
+    findSupply: function(state, creep, demand, need) {
+        const minimum = Math.min(need, this.MIN_AMOUNT);
+        let best = null;
+        let bestScore = Infinity;
+        
+        for (const supply of state.supplies) {
+            if (!this.accepts(demand, supply.resourceType) || supply.id === demand.id) continue;
+            
+            // Moving between bulk stores only burns hauler time
+            if (supply.sink && demand.sink) continue;
+            if (this.getAvailable(state, supply) < minimum) continue;
+            
+            const score = supply.priority + creep.pos.getRangeTo(supply.pos) + supply.pos.getRangeTo(demand.pos);
+            if (score < bestScore) {
+                bestScore = score;
+                best = supply;
+            }
+        }
+        
+        return best;
+    },
+    
+    /**
+     * Resource types the hauler carries
+     * @param {Creep} creep - The hauler
+     * @returns {string[]} - Resource types, largest amount first, empty if the hauler is empty
+     */
+    getCargoTypes: function(creep) {
+        return Object.keys(creep.store)
+            .filter(resourceType => creep.store[resourceType] > 0)
+            .sort((a, b) => creep.store[b] - creep.store[a]);
+    },
+    
+    /**
+     * Finish the hauler's task and release its reservation
+     * @param {Creep} creep - The hauler
+     */
+    complete: function(creep) {
+        const state = this.rooms[creep.room.name];
+        if (state && state.tick === Game.time && creep.memory.task) {
+            this.reserve(state, creep.memory.task, -1);
+        }
+        
+        delete creep.memory.task;
+    },
+    
+    /**
+     * Mark the pickup of the hauler's task as done, the drop-off stays reserved
+     * @param {Creep} creep - The hauler
+     */
+    pickedUp: function(creep) {
+        const task = creep.memory.task;
+        const state = this.rooms[creep.room.name];
+        if (state && state.tick === Game.time) {
+            const pickupKey = `${task.pickupId}:${task.resourceType}`;
+            state.reservedOut[pickupKey] -= task.amount;
+        }
+        
+        delete task.pickupId;
+    }
+};
+
+module.exports = logistics;
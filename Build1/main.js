@@ -2,15 +2,29 @@
  * Main game loop - CPU optimized
  */
 const roleHarvester = require('role.harvester');
+const roleMiner = require('role.miner');
 const roleUpgrader = require('role.upgrader');
 const roleBuilder = require('role.builder');
 const roleHauler = require('role.hauler');
+const roleRemoteMiner = require('role.remoteMiner');
+const roleRemoteHauler = require('role.remoteHauler');
+const roleReserver = require('role.reserver');
+const roleScout = require('role.scout');
+const roleClaimer = require('role.claimer');
+const rolePioneer = require('role.pioneer');
+const roleDefender = require('role.defender');
+const roleRangedDefender = require('role.rangedDefender');
 const roomManager = require('roomManager');
 const spawnManager = require('spawnManager');
 const constructionManager = require('constructionManager');
 const defenseManager = require('defenseManager');
 const remoteManager = require('remoteManager');
+const linkManager = require('linkManager');
+const fortificationManager = require('fortificationManager');
+const expansionManager = require('expansionManager');
 const utils = require('utils');
+const trafficManager = require('trafficManager');
+const pathing = require('pathing');
 
 // Global performance tracking
 global.stats = {
@@ -54,20 +68,19 @@ global.checkBuilders = function() {
     return "Builder status check complete";
 };
 
+// Set a player's standing - 'ally', 'neutral' or 'hostile'
+global.setStanding = function(username, standing) {
+    return require('diplomacy').setStanding(username, standing);
+};
+
 // Special function for simulation rooms
 global.simConstruction = function() {
     for (const roomName in Game.rooms) {
         if (roomName.startsWith('sim')) {
             console.log(`Forcing construction planning in simulation room ${roomName}`);
             
-            // Reset construction plans
-            if (!Memory.rooms[roomName].construction) {
-                Memory.rooms[roomName].construction = {};
-            }
-            
-            Memory.rooms[roomName].construction.roads = { planned: false };
-            Memory.rooms[roomName].construction.extensions = { planned: false, count: 0 };
-            Memory.rooms[roomName].construction.containers = { planned: false };
+            // Reset the layout
+            delete Memory.rooms[roomName].layout;
             
             // Force run the construction manager
             constructionManager.run(Game.rooms[roomName], true);
@@ -90,16 +103,8 @@ global.planConstruction = function(roomName) {
         return;
     }
     
-    // Reset construction plans to force replanning
-    if (!room.memory.construction) {
-        room.memory.construction = {};
-    }
-    
-    room.memory.construction.roads = { planned: false };
-    room.memory.construction.extensions = { planned: false, count: 0 };
-    room.memory.construction.containers = { planned: false };
-    room.memory.construction.storage = { planned: false };
-    room.memory.construction.towers = { planned: false, count: 0 };
+    // Reset the layout to force replanning
+    delete room.memory.layout;
     
     // Force run the construction manager
     console.log(`Forcing construction planning in room ${roomName}`);
@@ -120,13 +125,11 @@ global.forceConstruction = function(roomName) {
     // Force run the construction manager with debug mode
     console.log(`Forcing construction site creation in room ${roomName}`);
     
-    // First check if we have any construction plans
-    if (!room.memory.construction || 
-        !room.memory.construction.roads || 
-        !room.memory.construction.roads.planned) {
-        console.log(`Room ${roomName} has no construction plans. Planning roads first...`);
-        constructionManager.planRoads(room);
-        return `Created road plans for room ${roomName}. Run this command again to create sites.`;
+    // First check if we have a layout
+    if (!room.memory.layout) {
+        console.log(`Room ${roomName} has no layout. Planning it first...`);
+        require('layoutPlanner').plan(room);
+        return `Created layout for room ${roomName}. Run this command again to create sites.`;
     }
     
     // Force create construction sites
@@ -273,6 +276,20 @@ module.exports.loop = function() {
             console.log(`Error in defenseManager for room ${room.name}: ${error}`);
         }
         
+        // Link transfers are cheap and cooldown-bound, so run them every tick
+        try {
+            linkManager.run(room);
+        } catch (error) {
+            console.log(`Error in linkManager for room ${room.name}: ${error}`);
+        }
+        
+        // Fortification targets and repair tasks, throttled internally
+        try {
+            fortificationManager.run(room);
+        } catch (error) {
+            console.log(`Error in fortificationManager for room ${room.name}: ${error}`);
+        }
+        
         // Distribute CPU-intensive operations across ticks based on room name hash
         const roomHash = room.name.split('').reduce((a, b) => a + b.charCodeAt(0), 0);
         const roomOffset = roomHash % 5; // Distribute across 5 ticks
@@ -336,6 +353,12 @@ module.exports.loop = function() {
         } catch (error) {
             console.log(`Error in remoteManager: ${error}`);
         }
+        
+        try {
+            expansionManager.run();
+        } catch (error) {
+            console.log(`Error in expansionManager: ${error}`);
+        }
     }
     
     // Process creeps by type for better CPU batching
@@ -350,9 +373,18 @@ module.exports.loop = function() {
         // Group creeps by role for more efficient processing
         creepsByRole = {
             harvester: [],
+            miner: [],
             hauler: [],
             upgrader: [],
-            builder: []
+            builder: [],
+            remoteMiner: [],
+            remoteHauler: [],
+            reserver: [],
+            scout: [],
+            claimer: [],
+            pioneer: [],
+            defender: [],
+            rangedDefender: []
         };
         
         // Sort creeps by role
@@ -373,7 +405,7 @@ module.exports.loop = function() {
     // Process creeps by role - this allows for better CPU batching
     
     // In emergency mode, process fewer creeps per tick
-    const processCreepRole = function(creeps, roleFunction, priority) {
+    const processCreepRole = function(creeps, roleFunction, priority, everyTick = false) {
         // Skip non-critical roles in critical emergency mode
         if (global.emergencyMode && 
             global.emergencyMode.level === 'critical' && 
@@ -386,7 +418,10 @@ module.exports.loop = function() {
         
         // In emergency mode, process only a subset of creeps
         let creepsToProcess = creeps;
-        if (global.emergencyMode && creeps.length > 3) {
+        if (everyTick) {
+            // Combat creeps can't skip ticks
+            creepsToProcess = creeps;
+        } else if (global.emergencyMode && creeps.length > 3) {
             // Process only 1/3 of creeps each tick in emergency mode
             const startIdx = Game.time % 3;
             creepsToProcess = creeps.filter((_, idx) => idx % 3 === startIdx);
@@ -399,6 +434,13 @@ module.exports.loop = function() {
         // Track CPU usage per role
         const roleCpuStart = Game.cpu.getUsed();
         
+        // Creeps skipped this tick keep walking the path they already have
+        if (creepsToProcess !== creeps) {
+            for (const creep of creeps) {
+                if (creepsToProcess.indexOf(creep) === -1) trafficManager.continuePath(creep);
+            }
+        }
+        
         // Process the creeps with error handling
         for (const creep of creepsToProcess) {
             try {
@@ -408,7 +450,7 @@ module.exports.loop = function() {
                 // Basic fallback behavior - move to spawn if error
                 if (Game.time % 10 === 0) { // Only try occasionally to save CPU
                     const spawn = creep.room.find(FIND_MY_SPAWNS)[0];
-                    if (spawn) creep.moveTo(spawn);
+                    if (spawn) trafficManager.moveTo(creep, spawn);
                 }
             }
         }
@@ -424,8 +466,13 @@ module.exports.loop = function() {
         global.roleCpuUsage[priority].creeps += creepsToProcess.length;
     };
     
+    // Defenders act every tick, even in a critical emergency
+    processCreepRole(creepsByRole.defender, roleDefender, 'critical', true);
+    processCreepRole(creepsByRole.rangedDefender, roleRangedDefender, 'critical', true);
+    
     // Process harvesters first as they're the foundation of the economy
     processCreepRole(creepsByRole.harvester, roleHarvester, 'critical');
+    processCreepRole(creepsByRole.miner, roleMiner, 'critical');
     
     // Process haulers next to move the energy
     processCreepRole(creepsByRole.hauler, roleHauler, 'high');
@@ -436,6 +483,23 @@ module.exports.loop = function() {
     // Process builders last as they're less critical
     processCreepRole(creepsByRole.builder, roleBuilder, 'low');
     
+    // Remote mining creeps only run when CPU allows
+    processCreepRole(creepsByRole.remoteMiner, roleRemoteMiner, 'low');
+    processCreepRole(creepsByRole.remoteHauler, roleRemoteHauler, 'low');
+    processCreepRole(creepsByRole.reserver, roleReserver, 'low');
+    processCreepRole(creepsByRole.scout, roleScout, 'low');
+    
+    // Expansion creeps
+    processCreepRole(creepsByRole.claimer, roleClaimer, 'medium');
+    processCreepRole(creepsByRole.pioneer, rolePioneer, 'medium');
+    
+    // Every move was only registered so far - resolve them together
+    try {
+        trafficManager.run();
+    } catch (error) {
+        console.log(`Error in trafficManager: ${error}`);
+    }
+    
     global.stats.cpu.creepActions = Game.cpu.getUsed() - creepStart;
     
     // Update CPU statistics
@@ -495,6 +559,7 @@ module.exports.loop = function() {
         utils.clearCache();
         spawnManager.resetCache();
         roomManager.cleanCache();
+        pathing.cleanup();
         
         // Clean up any cache keys that were accidentally stored in Memory
         utils.cleanupMemoryCache();
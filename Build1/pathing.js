@@ -0,0 +1,351 @@
+/**
+ * Pathing - Cached paths between common endpoints and per-room cost matrices
+ * CPU optimized for maximum efficiency
+ */
+const pathing = {
+    // Paths shorter than this are cheaper to recompute than to store
+    MIN_CACHE_LENGTH: 5,
+    
+    // Cached paths kept per destination
+    PATHS_PER_GOAL: 3,
+    
+    // Cached paths not used for this long are dropped
+    PATH_TTL: 1500,
+    
+    // Destinations kept in memory, least recently used go first
+    MAX_GOALS: 300,
+    
+    // Extra cost of tiles in reach of hostile attackers
+    DANGER_COST: 40,
+    
+    // Tiles are stored above ASCII so they never collide with the ':' and '|' separators
+    CHAR_OFFSET: 192,
+    
+    // Per-room matrices in heap - { roomName: { signature, base, tick, creeps, danger } }
+    matrices: {},
+    
+    /**
+     * Get path cache memory, creating it if needed
+     * @returns {Object} - { goalKey: [{ path, used }] }
+     */
+    getMemory: function() {
+        if (!Memory.pathing) Memory.pathing = { paths: {} };
+        return Memory.pathing.paths;
+    },
+    
+    /**
+     * Find a path, reusing a cached path to the same destination when the origin lies on one
+     * @param {RoomPosition} origin - Start
+     * @param {RoomPosition} goal - Destination
+     * @param {number} range - Range to the destination
+     * @param {Object} [opts] - { creeps: path around creeps, maxOps }
+     * @returns {RoomPosition[]} - Steps after the origin, empty if there is no path
+     */
+    findPath: function(origin, goal, range, opts = {}) {
+        const goalKey = `${goal.x},${goal.y},${goal.roomName},${range}`;
+        
+        // Paths around creeps only hold for this tick
+        if (!opts.creeps) {
+            const cached = this.getCachedPath(goalKey, origin);
+            if (cached) return cached;
+        }
+        
+        const result = PathFinder.search(origin, { pos: goal, range: range }, {
+            plainCost: 2,
+            swampCost: 10,
+            maxOps: opts.maxOps || 20000,
+            roomCallback: roomName => this.getCostMatrix(roomName, opts.creeps)
+        });
+        if (result.incomplete && result.path.length === 0) return [];
+        
+        if (!opts.creeps && !result.incomplete && result.path.length >= this.MIN_CACHE_LENGTH) {
+            this.storePath(goalKey, [origin].concat(result.path));
+        }
+        
+        return result.path;
+    },
+    
+    /**
+     * Get the rest of a cached path that passes through the origin
+     * @param {string} goalKey - Destination key
+     * @param {RoomPosition} origin - Start
+     * @returns {RoomPosition[]|null} - Steps after the origin, or null if no cached path fits
+     */
+    getCachedPath: function(goalKey, origin) {
+        const entries = this.getMemory()[goalKey];
+        if (!entries) return null;
+        
+        for (const entry of entries) {
+            const path = this.deserialize(entry.path);
+            const index = path.findIndex(pos => pos.isEqualTo(origin));
+            if (index === -1 || index === path.length - 1) continue;
+            
+            // Walking into a fight on an old path is worse than pathing again
+            const rest = path.slice(index + 1);
+            if (rest.some(pos => this.hasDanger(pos.roomName))) continue;
+            
+            entry.used = Game.time;
+            return rest;
+        }
+        
+        return null;
+    },
+    
+    /**
+     * Store a path for a destination, replacing the least recently used one
+     * @param {string} goalKey - Destination key
+     * @param {RoomPosition[]} path - Path including the origin
+     */
+    storePath: function(goalKey, path) {
+        const paths = this.getMemory();
+        const entries = paths[goalKey] || (paths[goalKey] = []);
+        
+        entries.push({ path: this.serialize(path), used: Game.time });
+        if (entries.length > this.PATHS_PER_GOAL) {
+            entries.sort((a, b) => b.used - a.used);
+            entries.length = this.PATHS_PER_GOAL;
+        }
+    },
+    
+    /**
+     * Serialize a path into room segments of one character per tile
+     * @param {RoomPosition[]} path - Path to serialize
+     * @returns {string} - 'room:tiles|room:tiles'
+     */
+    serialize: function(path) {
+        const segments = [];
+        let current = null;
+        
+        for (const pos of path) {
+            if (!current || current.room !== pos.roomName) {
+                current = { room: pos.roomName, tiles: '' };
+                segments.push(current);
+            }
+            current.tiles += String.fromCharCode(this.CHAR_OFFSET + pos.x * 50 + pos.y);
+        }
+        
+        return segments.map(segment => `${segment.room}:${segment.tiles}`).join('|');
+    },
+    
+    /**
+     * Turn a serialized path back into positions
+     * @param {string} serialized - Path from serialize
+     * @returns {RoomPosition[]} - Positions
+     */
+    deserialize: function(serialized) {
+        const path = [];
+        
+        for (const segment of serialized.split('|')) {
+            const split = segment.indexOf(':');
+            const roomName = segment.slice(0, split);
+            for (let i = split + 1; i < segment.length; i++) {
+                const code = segment.charCodeAt(i) - this.CHAR_OFFSET;
+                path.push(new RoomPosition(Math.floor(code / 50), code % 50, roomName));
+            }
+        }
+        
+        return path;
+    },
+    
+    /**
+     * Get the cost matrix of a room, rebuilding it when its structures changed
+     * @param {string} roomName - Room to get the matrix for
+     * @param {boolean} [withCreeps] - Mark creeps as obstacles
+     * @returns {CostMatrix|boolean} - Matrix, or true for rooms we can't see
+     */
+    getCostMatrix: function(roomName, withCreeps) {
+        const room = Game.rooms[roomName];
+        if (!room) return true;
+        
+        const cache = this.getRoomCache(room);
+        
+        if (cache.danger === undefined) {
+            cache.danger = this.buildDangerMatrix(room, cache.base);
+        }
+        const matrix = cache.danger || cache.base;
+        if (!withCreeps) return matrix;
+        
+        if (!cache.creeps) {
+            cache.creeps = matrix.clone();
+            for (const creep of room.find(FIND_CREEPS)) {
+                cache.creeps.set(creep.pos.x, creep.pos.y, 255);
+            }
+            for (const creep of room.find(FIND_POWER_CREEPS)) {
+                cache.creeps.set(creep.pos.x, creep.pos.y, 255);
+            }
+        }
+        return cache.creeps;
+    },
+    
+    /**
+     * Get the heap cache of a room, checking for structure changes once per tick
+     * A changed structure signature drops the base matrix and every cached path through the room.
+     * @param {Room} room - A visible room
+     * @returns {Object} - { signature, base, tick, creeps, danger }
+     */
+    getRoomCache: function(room) {
+        let cache = this.matrices[room.name];
+        if (cache && cache.tick === Game.time) return cache;
+        
+        const signature = this.getSignature(room);
+        if (!cache || cache.signature !== signature) {
+            if (cache) this.invalidate(room.name);
+            cache = { signature: signature, base: this.buildBaseMatrix(room) };
+            this.matrices[room.name] = cache;
+        }
+        
+        // Creeps and hostiles move every tick
+        cache.tick = Game.time;
+        delete cache.creeps;
+        delete cache.danger;
+        return cache;
+    },
+    
+    /**
+     * Fingerprint of a room's structures and construction sites
+     * Hashed from object ids, so one structure destroyed and another built in the same tick still changes it.
+     * @param {Room} room - A visible room
+     * @returns {string} - Signature
+     */
+    getSignature: function(room) {
+        const structures = room.find(FIND_STRUCTURES);
+        const sites = room.find(FIND_CONSTRUCTION_SITES);
+        
+        // Summed per id so the order find returns them in doesn't matter
+        let hash = 0;
+        for (const object of structures.concat(sites)) {
+            let idHash = 0;
+            for (let i = 0; i < object.id.length; i++) {
+                idHash = (idHash * 31 + object.id.charCodeAt(i)) | 0;
+            }
+            hash = (hash + idHash) | 0;
+        }
+        
+        return `${structures.length}:${sites.length}:${hash}`;
+    },
+    
+    /**
+     * Cost matrix of roads and obstacles
+     * @param {Room} room - A visible room
+     * @returns {CostMatrix} - Matrix
+     */
+    buildBaseMatrix: function(room) {
+        const costs = new PathFinder.CostMatrix();
+        
+        for (const structure of room.find(FIND_STRUCTURES)) {
+            if (structure.structureType === STRUCTURE_ROAD) {
+                // Never let a road make an obstacle on the same tile walkable
+                if (costs.get(structure.pos.x, structure.pos.y) === 0) costs.set(structure.pos.x, structure.pos.y, 1);
+            } else if (OBSTACLE_OBJECT_TYPES.indexOf(structure.structureType) !== -1 ||
+                       (structure.structureType === STRUCTURE_RAMPART && !structure.my && !structure.isPublic)) {
+                costs.set(structure.pos.x, structure.pos.y, 255);
+            }
+        }
+        
+        for (const site of room.find(FIND_MY_CONSTRUCTION_SITES)) {
+            if (OBSTACLE_OBJECT_TYPES.indexOf(site.structureType) !== -1) {
+                costs.set(site.pos.x, site.pos.y, 255);
+            }
+        }
+        
+        return costs;
+    },
+    
+    /**
+     * Copy of the base matrix with tiles in reach of hostile attackers made expensive
+     * @param {Room} room - A visible room
+     * @param {CostMatrix} base - Base matrix of the room
+     * @returns {CostMatrix|null} - Matrix, or null if the room has no armed hostiles
+     */
+    buildDangerMatrix: function(room, base) {
+        const hostiles = this.getArmedHostiles(room);
+        if (hostiles.length === 0) return null;
+        
+        const costs = base.clone();
+        const terrain = room.getTerrain();
+        
+        for (const hostile of hostiles) {
+            const reach = hostile.getActiveBodyparts(RANGED_ATTACK) > 0 ? 3 : 1;
+            for (let x = Math.max(0, hostile.pos.x - reach); x <= Math.min(49, hostile.pos.x + reach); x++) {
+                for (let y = Math.max(0, hostile.pos.y - reach); y <= Math.min(49, hostile.pos.y + reach); y++) {
+                    if (terrain.get(x, y) === TERRAIN_MASK_WALL) continue;
+                    
+                    const cost = costs.get(x, y);
+                    if (cost < 255) costs.set(x, y, Math.min(254, cost + this.DANGER_COST));
+                }
+            }
+        }
+        
+        return costs;
+    },
+    
+    /**
+     * Hostile creeps that can hurt us
+     * @param {Room} room - A visible room
+     * @returns {Creep[]} - Armed hostiles, keepers included
+     */
+    getArmedHostiles: function(room) {
+        const diplomacy = require('diplomacy');
+        return room.find(FIND_HOSTILE_CREEPS, {
+            filter: c => (c.getActiveBodyparts(ATTACK) > 0 || c.getActiveBodyparts(RANGED_ATTACK) > 0) &&
+                         diplomacy.isHostileCreep(c)
+        });
+    },
+    
+    /**
+     * Check whether a visible room currently has armed hostiles
+     * @param {string} roomName - Room to check
+     * @returns {boolean} - True if paths through the room should be recomputed
+     */
+    hasDanger: function(roomName) {
+        const room = Game.rooms[roomName];
+        if (!room) return false;
+        
+        const cache = this.getRoomCache(room);
+        if (cache.danger === undefined) {
+            cache.danger = this.buildDangerMatrix(room, cache.base);
+        }
+        return cache.danger !== null;
+    },
+    
+    /**
+     * Drop every cached path through a room
+     * @param {string} roomName - Room whose structures changed
+     */
+    invalidate: function(roomName) {
+        const paths = this.getMemory();
+        const marker = `${roomName}:`;
+        
+        for (const goalKey in paths) {
+            paths[goalKey] = paths[goalKey].filter(entry => entry.path.indexOf(marker) === -1);
+            if (paths[goalKey].length === 0) delete paths[goalKey];
+        }
+    },
+    
+    /**
+     * Drop cached paths that haven't been used in a while and matrices of rooms we lost sight of
+     */
+    cleanup: function() {
+        const paths = this.getMemory();
+        
+        for (const goalKey in paths) {
+            paths[goalKey] = paths[goalKey].filter(entry => Game.time - entry.used < this.PATH_TTL);
+            if (paths[goalKey].length === 0) delete paths[goalKey];
+        }
+        
+        const goalKeys = Object.keys(paths);
+        if (goalKeys.length > this.MAX_GOALS) {
+            const lastUsed = goalKey => Math.max(...paths[goalKey].map(entry => entry.used));
+            goalKeys.sort((a, b) => lastUsed(a) - lastUsed(b));
+            for (const goalKey of goalKeys.slice(0, goalKeys.length - this.MAX_GOALS)) {
+                delete paths[goalKey];
+            }
+        }
+        
+        for (const roomName in this.matrices) {
+            if (!Game.rooms[roomName]) delete this.matrices[roomName];
+        }
+    }
+};
+
+module.exports = pathing;
@@ -0,0 +1,284 @@
+/**
+ * Rampart Planner - Finds the smallest rampart perimeter around the core and controller
+ * CPU optimized for maximum efficiency
+ */
+const rampartPlanner = {
+    // Ramparts are queued once the first tower can cover them
+    MIN_RCL: 3,
+    
+    // Keep attackers out of ranged attack range of the core
+    CORE_MARGIN: 3,
+    
+    // Keep attackers off the controller so it can't be attacked or blocked
+    CONTROLLER_MARGIN: 1,
+    
+    INFINITY: 1000000000,
+    
+    /**
+     * Plan the rampart perimeter with a min-cut between the exits and the protected area
+     * @param {Room} room - The room to plan
+     * @param {Object} anchor - Center of the core stamp
+     * @returns {Object[]} - Rampart positions { x, y, rcl }
+     */
+    plan: function(room, anchor) {
+        const terrain = room.getTerrain();
+        
+        // Tiles next to an exit can't hold a rampart and are reachable from outside anyway
+        const exitAdjacent = new Uint8Array(2500);
+        for (let i = 0; i < 50; i++) {
+            for (const [x, y] of [[i, 0], [i, 49], [0, i], [49, i]]) {
+                if (terrain.get(x, y) === TERRAIN_MASK_WALL) continue;
+                for (let dx = -1; dx <= 1; dx++) {
+                    for (let dy = -1; dy <= 1; dy++) {
+                        const nx = x + dx;
+                        const ny = y + dy;
+                        if (nx >= 1 && ny >= 1 && nx <= 48 && ny <= 48) exitAdjacent[ny * 50 + nx] = 1;
+                    }
+                }
+            }
+        }
+        
+        // Protected tiles need a buildable tile between them and the exits
+        const coreRange = 2 + this.CORE_MARGIN;
+        const isProtected = (x, y) => {
+            if (!(Math.abs(x - anchor.x) <= coreRange && Math.abs(y - anchor.y) <= coreRange) &&
+                room.controller.pos.getRangeTo(x, y) > this.CONTROLLER_MARGIN) {
+                return false;
+            }
+            
+            for (let dx = -1; dx <= 1; dx++) {
+                for (let dy = -1; dy <= 1; dy++) {
+                    if (exitAdjacent[(y + dy) * 50 + (x + dx)]) return false;
+                }
+            }
+            return true;
+        };
+        
+        const graph = this.createGraph(5002, 60000);
+        const source = 5000;
+        const sink = 5001;
+        
+        // Every tile is split into an in and out node so cutting the tile costs one rampart
+        for (let x = 1; x <= 48; x++) {
+            for (let y = 1; y <= 48; y++) {
+                if (terrain.get(x, y) === TERRAIN_MASK_WALL) continue;
+                
+                const i = y * 50 + x;
+                if (exitAdjacent[i]) {
+                    this.addEdge(graph, source, i * 2, this.INFINITY);
+                    this.addEdge(graph, i * 2, i * 2 + 1, this.INFINITY);
+                } else if (isProtected(x, y)) {
+                    this.addEdge(graph, i * 2, i * 2 + 1, this.INFINITY);
+                    this.addEdge(graph, i * 2 + 1, sink, this.INFINITY);
+                } else {
+                    this.addEdge(graph, i * 2, i * 2 + 1, 1);
+                }
+                
+                for (let dx = -1; dx <= 1; dx++) {
+                    for (let dy = -1; dy <= 1; dy++) {
+                        if (dx === 0 && dy === 0) continue;
+                        
+                        const nx = x + dx;
+                        const ny = y + dy;
+                        if (nx < 1 || ny < 1 || nx > 48 || ny > 48) continue;
+                        if (terrain.get(nx, ny) === TERRAIN_MASK_WALL) continue;
+                        
+                        this.addEdge(graph, i * 2 + 1, (ny * 50 + nx) * 2, this.INFINITY);
+                    }
+                }
+            }
+        }
+        
+        const flow = this.maxFlow(graph, source, sink);
+        if (flow >= this.INFINITY) {
+            console.log(`Rampart planning failed in room ${room.name}: protected area touches an exit`);
+            return [];
+        }
+        
+        // Cut tiles are reachable from the exits on their in node but not their out node
+        const reachable = this.getReachable(graph, source);
+        const ramparts = [];
+        for (let i = 0; i < 2500; i++) {
+            if (reachable[i * 2] && !reachable[i * 2 + 1]) {
+                ramparts.push({ x: i % 50, y: Math.floor(i / 50), rcl: this.MIN_RCL });
+            }
+        }
+        
+        return ramparts;
+    },
+    
+    /**
+     * Create an empty flow graph stored in typed arrays
+     * @param {number} nodes - Number of nodes
+     * @param {number} edges - Initial edge capacity
+     * @returns {Object} - Graph with adjacency lists as linked edge indices
+     */
+    createGraph: function(nodes, edges) {
+        return {
+            nodes: nodes,
+            count: 0,
+            head: new Int32Array(nodes).fill(-1),
+            next: new Int32Array(edges),
+            to: new Int32Array(edges),
+            cap: new Int32Array(edges)
+        };
+    },
+    
+    /**
+     * Add a directed edge and its residual edge
+     * @param {Object} graph - Flow graph
+     * @param {number} from - Start node
+     * @param {number} to - End node
+     * @param {number} cap - Capacity
+     */
+    addEdge: function(graph, from, to, cap) {
+        if (graph.count + 2 > graph.to.length) {
+            for (const key of ['next', 'to', 'cap']) {
+                const grown = new Int32Array(graph[key].length * 2);
+                grown.set(graph[key]);
+                graph[key] = grown;
+            }
+        }
+        
+        // Residual edge is always the forward edge index xor 1
+        for (const [a, b, c] of [[from, to, cap], [to, from, 0]]) {
+            graph.to[graph.count] = b;
+            graph.cap[graph.count] = c;
+            graph.next[graph.count] = graph.head[a];
+            graph.head[a] = graph.count++;
+        }
+    },
+    
+    /**
+     * Dinic's max flow
+     * @param {Object} graph - Flow graph, capacities are reduced in place
+     * @param {number} source - Source node
+     * @param {number} sink - Sink node
+     * @returns {number} - Total flow, capped at INFINITY
+     */
+    maxFlow: function(graph, source, sink) {
+        const level = new Int32Array(graph.nodes);
+        const iter = new Int32Array(graph.nodes);
+        let total = 0;
+        
+        while (this.buildLevels(graph, source, sink, level)) {
+            iter.set(graph.head);
+            
+            let pushed;
+            while ((pushed = this.pushFlow(graph, source, sink, this.INFINITY, level, iter)) > 0) {
+                total += pushed;
+                if (total >= this.INFINITY) return this.INFINITY;
+            }
+        }
+        
+        return total;
+    },
+    
+    /**
+     * Breadth-first search assigning levels along edges with capacity left
+     * @param {Object} graph - Flow graph
+     * @param {number} source - Source node
+     * @param {number} sink - Sink node
+     * @param {Int32Array} level - Level per node, filled in place
+     * @returns {boolean} - True if the sink is still reachable
+     */
+    buildLevels: function(graph, source, sink, level) {
+        level.fill(-1);
+        level[source] = 0;
+        
+        const queue = new Int32Array(graph.nodes);
+        let head = 0;
+        let tail = 0;
+        queue[tail++] = source;
+        
+        while (head < tail) {
+            const node = queue[head++];
+            for (let e = graph.head[node]; e !== -1; e = graph.next[e]) {
+                const to = graph.to[e];
+                if (graph.cap[e] > 0 && level[to] < 0) {
+                    level[to] = level[node] + 1;
+                    queue[tail++] = to;
+                }
+            }
+        }
+        
+        return level[sink] >= 0;
+    },
+    
+    /**
+     * Push one augmenting path through the level graph
+     * @param {Object} graph - Flow graph
+     * @param {number} node - Current node
+     * @param {number} sink - Sink node
+     * @param {number} limit - Flow that can reach this node
+     * @param {Int32Array} level - Level per node
+     * @param {Int32Array} iter - Next edge to try per node
+     * @returns {number} - Flow pushed
+     */
+    pushFlow: function(graph, node, sink, limit, level, iter) {
+        if (node === sink) return limit;
+        
+        for (; iter[node] !== -1; iter[node] = graph.next[iter[node]]) {
+            const e = iter[node];
+            const to = graph.to[e];
+            if (graph.cap[e] <= 0 || level[to] !== level[node] + 1) continue;
+            
+            const pushed = this.pushFlow(graph, to, sink, Math.min(limit, graph.cap[e]), level, iter);
+            if (pushed > 0) {
+                graph.cap[e] -= pushed;
+                graph.cap[e ^ 1] += pushed;
+                return pushed;
+            }
+        }
+        
+        return 0;
+    },
+    
+    /**
+     * Find the nodes still reachable from the source in the residual graph
+     * @param {Object} graph - Flow graph after max flow
+     * @param {number} source - Source node
+     * @returns {Uint8Array} - 1 for reachable nodes
+     */
+    getReachable: function(graph, source) {
+        const reachable = new Uint8Array(graph.nodes);
+        const stack = [source];
+        reachable[source] = 1;
+        
+        while (stack.length > 0) {
+            const node = stack.pop();
+            for (let e = graph.head[node]; e !== -1; e = graph.next[e]) {
+                const to = graph.to[e];
+                if (graph.cap[e] > 0 && !reachable[to]) {
+                    reachable[to] = 1;
+                    stack.push(to);
+                }
+            }
+        }
+        
+        return reachable;
+    },
+    
+    /**
+     * Get the planned rampart perimeter of a room
+     * @param {Room} room - The room to check
+     * @returns {Object[]} - Rampart positions, empty if none are planned
+     */
+    getPerimeter: function(room) {
+        const layout = room.memory.layout;
+        return (layout && layout.structures[STRUCTURE_RAMPART]) || [];
+    },
+    
+    /**
+     * Check whether a position is on the planned rampart perimeter
+     * @param {Room} room - The room to check
+     * @param {number} x - X position
+     * @param {number} y - Y position
+     * @returns {boolean} - True if a rampart is planned there
+     */
+    isPerimeter: function(room, x, y) {
+        return this.getPerimeter(room).some(pos => pos.x === x && pos.y === y);
+    }
+};
+
+module.exports = rampartPlanner;
@@ -3,8 +3,33 @@
  * Optimized for CPU efficiency and resiliency
  */
 const utils = require('utils');
+const travel = require('travel');
 
 const remoteManager = {
+    // Ticks a remote operation stays suspended after hostiles were seen
+    SUSPEND_TIME: 1500,
+    
+    // Ticks over which delivered and spent energy are averaged
+    STATS_WINDOW: 1500,
+    
+    // Ticks between remote road and container planning passes
+    ROAD_PLAN_INTERVAL: 5000,
+    
+    // How many rooms away from each base room scouts explore
+    SCOUT_DEPTH: 2,
+    
+    // Intel older than this is re-scouted
+    SCOUT_STALE_AGE: 3000,
+    
+    // Scouts give up on a target they haven't reached in this many ticks
+    SCOUT_TIMEOUT: 500,
+    
+    // Hostile player sightings lower a room's expected income for this long
+    HOSTILE_MEMORY: 10000,
+    
+    // Attack parts sent against an unguarded invader core
+    CORE_ATTACK_PARTS: 10,
+    
     /**
      * Initialize remote operations memory
      */
@@ -13,11 +38,40 @@ const remoteManager = {
             Memory.remoteOps = {
                 rooms: {},
                 scouts: {},
+                unsafe: {},
                 lastUpdate: Game.time
             };
         }
     },
     
+    /**
+     * Mark a room unsafe for routing and remote operations for a while
+     * @param {string} roomName - The room to avoid
+     * @param {number} duration - Ticks the room stays unsafe
+     */
+    markUnsafe: function(roomName, duration) {
+        this.initMemory();
+        if (!Memory.remoteOps.unsafe) Memory.remoteOps.unsafe = {};
+        
+        Memory.remoteOps.unsafe[roomName] = Math.max(Memory.remoteOps.unsafe[roomName] || 0, Game.time + duration);
+    },
+    
+    /**
+     * Check whether a room is currently marked unsafe
+     * @param {string} roomName - The room to check
+     * @returns {boolean} - True if creeps should stay out of the room
+     */
+    isUnsafe: function(roomName) {
+        const unsafe = Memory.remoteOps && Memory.remoteOps.unsafe;
+        if (!unsafe || !unsafe[roomName]) return false;
+        
+        if (Game.time >= unsafe[roomName]) {
+            delete unsafe[roomName];
+            return false;
+        }
+        return true;
+    },
+    
     /**
      * Run remote operations manager
      * Only runs when CPU conditions allow
@@ -43,44 +97,123 @@ const remoteManager = {
             // Skip rooms below RCL 3
             if (room.controller.level < 3) continue;
             
-            // Check for adjacent rooms to scout
+            // Check for nearby rooms to scout
             this.identifyRoomsToScout(room);
+            
+            // Send a scout if any of them has stale intel
+            this.requestScout(room);
         }
         
         // Update remote room data
         this.updateRemoteRooms();
+        
+        // Start, run and suspend remote mining operations
+        this.manageOperations();
     },
     
     /**
      * Identify rooms to scout from a base room
+     * Walks a breadth-first search over room exits out to SCOUT_DEPTH.
      * @param {Room} room - The base room
      */
     identifyRoomsToScout: function(room) {
-        // Get exits from the room
-        const exits = Game.map.describeExits(room.name);
-        
-        // Check each exit
-        for (const direction in exits) {
-            const exitRoom = exits[direction];
-            
-            // Skip if we already own this room
-            if (Game.rooms[exitRoom] && 
-                Game.rooms[exitRoom].controller && 
-                Game.rooms[exitRoom].controller.my) {
-                continue;
+        const baseStatus = Game.map.getRoomStatus(room.name).status;
+        const visited = { [room.name]: 0 };
+        const queue = [room.name];
+        
+        while (queue.length > 0) {
+            const roomName = queue.shift();
+            const depth = visited[roomName];
+            if (depth >= this.SCOUT_DEPTH) continue;
+            
+            const exits = Game.map.describeExits(roomName);
+            for (const direction in exits) {
+                const exitRoom = exits[direction];
+                if (visited[exitRoom] !== undefined) continue;
+                
+                // Skip novice/respawn areas we can't enter
+                if (Game.map.getRoomStatus(exitRoom).status !== baseStatus) continue;
+                
+                visited[exitRoom] = depth + 1;
+                queue.push(exitRoom);
+                
+                // Skip if we already own this room
+                if (Game.rooms[exitRoom] && 
+                    Game.rooms[exitRoom].controller && 
+                    Game.rooms[exitRoom].controller.my) {
+                    continue;
+                }
+                
+                const roomData = Memory.remoteOps.rooms[exitRoom];
+                
+                // Add to scout list if not already tracked
+                if (!roomData) {
+                    Memory.remoteOps.rooms[exitRoom] = {
+                        baseRoom: room.name,
+                        depth: depth + 1,
+                        lastScout: 0,
+                        sources: 0,
+                        hostiles: false,
+                        reservation: null
+                    };
+                } else if (roomData.depth === undefined || roomData.depth > depth + 1) {
+                    // Closer base rooms take over the entry
+                    roomData.depth = depth + 1;
+                    if (!roomData.mining) roomData.baseRoom = room.name;
+                }
             }
+        }
+    },
+    
+    /**
+     * Queue a scout for a base room when it has stale or unscouted rooms
+     * @param {Room} room - The base room
+     */
+    requestScout: function(room) {
+        const spawnManager = require('spawnManager');
+        
+        const hasScout = _.some(Game.creeps, c => c.memory.role === 'scout' && c.memory.homeRoom === room.name);
+        if (hasScout || spawnManager.hasRequest(room.name, `scout_${room.name}`)) return;
+        
+        if (!this.getNextScoutTarget(room.name, room.name)) return;
+        
+        spawnManager.requestCreep(room.name, {
+            key: `scout_${room.name}`,
+            role: 'scout',
+            body: [MOVE],
+            priority: spawnManager.PRIORITY.LOW
+        });
+    },
+    
+    /**
+     * Pick the next room a scout should visit
+     * Unscouted and stalest rooms first, then the closest to the scout.
+     * @param {string} baseRoomName - The scout's base room
+     * @param {string} fromRoom - The room the scout is in
+     * @returns {string|null} - Room name or null if all intel is fresh
+     */
+    getNextScoutTarget: function(baseRoomName, fromRoom) {
+        let bestRoom = null;
+        let bestScore = Infinity;
+        
+        for (const roomName in Memory.remoteOps.rooms) {
+            const roomData = Memory.remoteOps.rooms[roomName];
+            if (roomData.baseRoom !== baseRoomName) continue;
             
-            // Add to scout list if not already tracked
-            if (!Memory.remoteOps.rooms[exitRoom]) {
-                Memory.remoteOps.rooms[exitRoom] = {
-                    baseRoom: room.name,
-                    lastScout: 0,
-                    sources: 0,
-                    hostiles: false,
-                    reservation: null
-                };
+            const age = Game.time - roomData.lastScout;
+            if (age < this.SCOUT_STALE_AGE) continue;
+            
+            // Never-scouted rooms beat stale ones, distance breaks ties
+            const score = (roomData.lastScout === 0 ? 0 : 100) + 
+                Game.map.getRoomLinearDistance(fromRoom, roomName);
+            
+            if (score < bestScore) {
+                bestScore = score;
+                bestRoom = roomName;
             }
         }
+        
+        return bestRoom;
     },
     
     /**
@@ -91,40 +224,7 @@ const remoteManager = {
         for (const roomName in Memory.remoteOps.rooms) {
             // If room is visible, update data
             if (Game.rooms[roomName]) {
-                const room = Game.rooms[roomName];
-                const roomData = Memory.remoteOps.rooms[roomName];
-                
-                // Update last scout time
-                roomData.lastScout = Game.time;
-                
-                // Count sources
-                const sources = room.find(FIND_SOURCES);
-                roomData.sources = sources.length;
-                
-                // Check for hostiles
-                const hostiles = room.find(FIND_HOSTILE_CREEPS);
-                roomData.hostiles = hostiles.length > 0;
-                
-                // Check controller reservation
-                if (room.controller) {
-                    if (room.controller.reservation) {
-                        roomData.reservation = {
-                            username: room.controller.reservation.username,
-                            ticksToEnd: room.controller.reservation.ticksToEnd
-                        };
-                    } else {
-                        roomData.reservation = null;
-                    }
-                }
-                
-                // Store source positions for future miners
-                if (!roomData.sourcePositions && sources.length > 0) {
-                    roomData.sourcePositions = sources.map(source => ({
-                        id: source.id,
-                        x: source.pos.x,
-                        y: source.pos.y
-                    }));
-                }
+                this.recordRoomIntel(Game.rooms[roomName]);
             }
         }
         
@@ -136,13 +236,229 @@ const remoteManager = {
             // Skip rooms that are actively being used
             if (roomData.mining || roomData.reserved) continue;
             
-            // Remove very old scout data
-            if (Game.time - roomData.lastScout > MAX_SCOUT_AGE) {
+            // Remove very old scout data - unscouted rooms are kept until a scout gets there
+            if (roomData.lastScout > 0 && Game.time - roomData.lastScout > MAX_SCOUT_AGE) {
                 delete Memory.remoteOps.rooms[roomName];
             }
         }
     },
     
+    /**
+     * Record intel for a visible room
+     * Called for tracked rooms every update and by scouts as they pass through.
+     * @param {Room} room - The visible room
+     */
+    recordRoomIntel: function(room) {
+        const roomData = Memory.remoteOps.rooms[room.name];
+        if (!roomData) return;
+        
+        // Update last scout time
+        roomData.lastScout = Game.time;
+        delete roomData.unreachable;
+        
+        // Count sources
+        const sources = room.find(FIND_SOURCES);
+        roomData.sources = sources.length;
+        
+        // Check for hostiles - allies and peaceful neutrals don't count
+        const diplomacy = require('diplomacy');
+        const foreign = room.find(FIND_HOSTILE_CREEPS);
+        const invaders = foreign.filter(c => c.owner.username === 'Invader');
+        const hostiles = foreign.filter(c => c.owner.username !== 'Invader' && diplomacy.isHostileCreep(c));
+        roomData.hostiles = hostiles.length > 0;
+        this.recordInvaders(roomData, invaders);
+        
+        // Remember who was here last - NPCs don't hold grudges
+        const player = hostiles.find(c => diplomacy.getStanding(c.owner.username) === 'hostile');
+        if (player) {
+            roomData.lastHostile = { owner: player.owner.username, time: Game.time };
+        }
+        if (foreign.length > 0) {
+            diplomacy.recordSighting(room, foreign);
+        }
+        
+        // Rooms without a controller are highways or keeper rooms
+        roomData.hasController = !!room.controller;
+        roomData.owner = room.controller && room.controller.owner ? room.controller.owner.username : null;
+        roomData.controllerLevel = room.controller ? room.controller.level : 0;
+        
+        // Check controller reservation
+        if (room.controller) {
+            if (room.controller.reservation) {
+                roomData.reservation = {
+                    username: room.controller.reservation.username,
+                    ticksToEnd: room.controller.reservation.ticksToEnd
+                };
+            } else {
+                roomData.reservation = null;
+            }
+        }
+        
+        // Store source positions for future miners
+        if (!roomData.sourcePositions && sources.length > 0) {
+            roomData.sourcePositions = sources.map(source => ({
+                id: source.id,
+                x: source.pos.x,
+                y: source.pos.y
+            }));
+        }
+        
+        roomData.minerals = room.find(FIND_MINERALS).map(mineral => ({
+            type: mineral.mineralType,
+            x: mineral.pos.x,
+            y: mineral.pos.y
+        }));
+        
+        // Hostile structures that make a room dangerous to path through or mine
+        const hostileStructures = room.find(FIND_HOSTILE_STRUCTURES);
+        roomData.hostileStructures = {
+            towers: hostileStructures.filter(s => s.structureType === STRUCTURE_TOWER).length,
+            spawns: hostileStructures.filter(s => s.structureType === STRUCTURE_SPAWN).length,
+            invaderCore: hostileStructures.some(s => s.structureType === STRUCTURE_INVADER_CORE)
+        };
+        
+        // Level 0 cores can be destroyed, anything higher is a stronghold
+        const core = hostileStructures.find(s => s.structureType === STRUCTURE_INVADER_CORE);
+        roomData.hostileStructures.invaderCoreLevel = core ? core.level : null;
+        
+        roomData.keeperLairs = room.find(FIND_STRUCTURES, {
+            filter: s => s.structureType === STRUCTURE_KEEPER_LAIR
+        }).length;
+        
+        // Terrain never changes, so it is only read once
+        if (!roomData.terrain) {
+            roomData.terrain = this.getTerrainComposition(room.name);
+        }
+        
+        // Path lengths depend on the base room, so re-measure when it changes
+        if (roomData.sourcePositions && roomData.pathOrigin !== roomData.baseRoom) {
+            this.measureSourcePaths(room.name, roomData);
+        }
+    },
+    
+    /**
+     * Get the share of plain, swamp and wall tiles in a room
+     * @param {string} roomName - Name of the room
+     * @returns {Object} - Fractions of plain, swamp and wall tiles
+     */
+    getTerrainComposition: function(roomName) {
+        const terrain = Game.map.getRoomTerrain(roomName);
+        let plain = 0;
+        let swamp = 0;
+        let wall = 0;
+        
+        for (let x = 0; x < 50; x++) {
+            for (let y = 0; y < 50; y++) {
+                const tile = terrain.get(x, y);
+                if (tile & TERRAIN_MASK_WALL) wall++;
+                else if (tile & TERRAIN_MASK_SWAMP) swamp++;
+                else plain++;
+            }
+        }
+        
+        return {
+            plain: plain / 2500,
+            swamp: swamp / 2500,
+            wall: wall / 2500
+        };
+    },
+    
+    /**
+     * Measure the path from the base room's storage or spawn to each source
+     * Called from recordRoomIntel while the room is visible, since source positions come from vision.
+     * Rooms between the base and the remote are pathed on terrain alone if we can't see them.
+     * @param {string} roomName - The remote room
+     * @param {Object} roomData - Intel record of the room
+     */
+    measureSourcePaths: function(roomName, roomData) {
+        const base = Game.rooms[roomData.baseRoom];
+        if (!base) return;
+        
+        const origin = base.storage || base.find(FIND_MY_SPAWNS)[0];
+        if (!origin) return;
+        
+        const terrains = {};
+        const isSwamp = pos => {
+            if (!terrains[pos.roomName]) terrains[pos.roomName] = Game.map.getRoomTerrain(pos.roomName);
+            return (terrains[pos.roomName].get(pos.x, pos.y) & TERRAIN_MASK_SWAMP) !== 0;
+        };
+        
+        for (const source of roomData.sourcePositions) {
+            const result = PathFinder.search(origin.pos, {
+                pos: new RoomPosition(source.x, source.y, roomName),
+                range: 1
+            }, {
+                plainCost: 2,
+                swampCost: 10,
+                maxOps: 4000
+            });
+            
+            // Unreachable sources are scored as if they were a full room further away
+            source.pathLength = result.incomplete ? 100 : result.path.length;
+            source.swampTiles = result.path.filter(isSwamp).length;
+        }
+        
+        roomData.pathOrigin = roomData.baseRoom;
+    },
+    
+    /**
+     * Estimate the net energy per tick a remote room would bring a base room
+     * Gross source income minus the upkeep of miners, haulers, the reserver,
+     * containers and roads. Recent player activity halves the expected income.
+     * @param {string} roomName - The remote room
+     * @param {Room} base - The base room
+     * @returns {number} - Expected net energy per tick
+     */
+    getExpectedNetEnergy: function(roomName, base) {
+        const spawnManager = require('spawnManager');
+        const roomData = Memory.remoteOps.rooms[roomName];
+        if (!roomData.sourcePositions || roomData.sourcePositions.length === 0) return 0;
+        
+        const energy = base.energyCapacityAvailable;
+        const bodyCost = role => spawnManager.getBodyCost(spawnManager.calculateBody(role, energy));
+        
+        // Reserving doubles source capacity once we can afford it
+        const reserverCost = bodyCost('reserver');
+        const reserved = reserverCost > 0;
+        const capacity = reserved ? SOURCE_ENERGY_CAPACITY : SOURCE_ENERGY_NEUTRAL_CAPACITY;
+        const incomePerSource = capacity / ENERGY_REGEN_TIME;
+        
+        const haulerBody = spawnManager.calculateBody('remoteHauler', energy);
+        const haulerCarry = Math.max(1, haulerBody.filter(part => part === CARRY).length);
+        const haulerCostPerCarry = spawnManager.getBodyCost(haulerBody) / haulerCarry;
+        const minerUpkeep = bodyCost('remoteMiner') / CREEP_LIFE_TIME;
+        const containerUpkeep = CONTAINER_DECAY / CONTAINER_DECAY_TIME / REPAIR_POWER;
+        
+        // Road decay per tile and tick, swamp roads decay faster
+        const roadUpkeep = ROAD_DECAY_AMOUNT / ROAD_DECAY_TIME / REPAIR_POWER;
+        const swampRoadUpkeep = roadUpkeep * CONSTRUCTION_COST_ROAD_SWAMP_RATIO;
+        
+        let net = 0;
+        for (const source of roomData.sourcePositions) {
+            const pathLength = source.pathLength || 50;
+            const swampTiles = source.swampTiles || 0;
+            
+            const carryNeeded = incomePerSource * (pathLength * 2 + 4) / CARRY_CAPACITY;
+            const haulerUpkeep = carryNeeded * haulerCostPerCarry / CREEP_LIFE_TIME;
+            const roadsUpkeep = (pathLength - swampTiles) * roadUpkeep + swampTiles * swampRoadUpkeep;
+            
+            net += incomePerSource - haulerUpkeep - minerUpkeep - containerUpkeep - roadsUpkeep;
+        }
+        
+        if (reserved) {
+            net -= reserverCost / CREEP_CLAIM_LIFE_TIME;
+        }
+        
+        // Players who were here recently are likely to come back, more so if they attacked us before
+        const diplomacy = require('diplomacy');
+        const lastHostile = roomData.lastHostile;
+        if (lastHostile && Game.time - lastHostile.time < this.HOSTILE_MEMORY && diplomacy.isHostile(lastHostile.owner)) {
+            net *= diplomacy.hasAttackedUs(lastHostile.owner) ? 0.25 : 0.5;
+        }
+        
+        return net;
+    },
+    
     /**
      * Get the best remote room for harvesting
      * @param {string} baseRoomName - Name of the base room
@@ -152,8 +468,11 @@ const remoteManager = {
         // Skip if not initialized
         if (!Memory.remoteOps || !Memory.remoteOps.rooms) return null;
         
+        const base = Game.rooms[baseRoomName];
+        if (!base) return null;
+        
         let bestRoom = null;
-        let bestScore = -1;
+        let bestScore = 0;
         
         for (const roomName in Memory.remoteOps.rooms) {
             const roomData = Memory.remoteOps.rooms[roomName];
@@ -161,18 +480,36 @@ const remoteManager = {
             // Skip if not connected to this base room
             if (roomData.baseRoom !== baseRoomName) continue;
             
+            // Only adjacent rooms are mined - deeper rooms are scouted for intel
+            if (roomData.depth > 1) continue;
+            
+            // Keeper rooms need a dedicated operation
+            if (roomData.keeperLairs > 0) continue;
+            
+            // Skip rooms that already have an operation or are about to be claimed
+            if (roomData.mining) continue;
+            if (Memory.expansion && Memory.expansion.target === roomName) continue;
+            
             // Skip if has hostiles
-            if (roomData.hostiles) continue;
+            if (roomData.hostiles || this.isUnsafe(roomName)) continue;
+            
+            // Skip rooms we can't reserve or that belong to another player
+            if (roomData.hasController === false || roomData.owner) continue;
+            
+            // Skip if reserved by someone else - invader core reservations don't last
+            if (roomData.reservation && roomData.reservation.username !== utils.getUsername() &&
+                roomData.reservation.username !== 'Invader') continue;
             
-            // Skip if reserved by someone else
-            if (roomData.reservation && roomData.reservation.username !== Memory.username) continue;
+            // Skip while invaders or their stronghold hold the room
+            if (roomData.invaders > 0 ||
+                (roomData.hostileStructures && roomData.hostileStructures.invaderCoreLevel > 0)) continue;
             
-            // Calculate score based on sources and distance
+            // Score by expected net energy per tick - rooms that don't pay off are never picked
             const sources = roomData.sources || 0;
             if (sources === 0) continue;
             
-            // Simple scoring for now - can be expanded
-            const score = sources * 10;
+            const score = this.getExpectedNetEnergy(roomName, base);
+            roomData.expectedNet = score;
             
             if (score > bestScore) {
                 bestScore = score;
@@ -181,6 +518,532 @@ const remoteManager = {
         }
         
         return bestRoom;
+    },
+    
+    /**
+     * Get how many remote rooms a base room can support
+     * @param {Room} room - The base room
+     * @returns {number} - Maximum number of remote operations
+     */
+    getRemoteLimit: function(room) {
+        const rcl = room.controller.level;
+        if (rcl >= 7) return 3;
+        if (rcl >= 5) return 2;
+        return 1;
+    },
+    
+    /**
+     * Start new remote mining operations and run existing ones
+     */
+    manageOperations: function() {
+        // Count running operations per base room
+        const opCounts = {};
+        for (const roomName in Memory.remoteOps.rooms) {
+            const op = Memory.remoteOps.rooms[roomName].mining;
+            if (op) opCounts[op.baseRoom] = (opCounts[op.baseRoom] || 0) + 1;
+        }
+        
+        for (const roomName in Game.rooms) {
+            const room = Game.rooms[roomName];
+            if (!room.controller || !room.controller.my || room.controller.level < 3) continue;
+            
+            if ((opCounts[roomName] || 0) < this.getRemoteLimit(room)) {
+                const remoteRoom = this.getBestRemoteRoom(roomName);
+                if (remoteRoom) this.startOperation(remoteRoom, roomName);
+            }
+        }
+        
+        for (const roomName in Memory.remoteOps.rooms) {
+            if (Memory.remoteOps.rooms[roomName].mining) {
+                this.runOperation(roomName);
+            }
+        }
+    },
+    
+    /**
+     * Start a remote mining operation
+     * @param {string} roomName - The remote room
+     * @param {string} baseRoomName - The room that spawns and receives for the operation
+     */
+    startOperation: function(roomName, baseRoomName) {
+        Memory.remoteOps.rooms[roomName].mining = {
+            baseRoom: baseRoomName,
+            status: 'active',
+            started: Game.time,
+            containers: {},
+            pathLengths: {},
+            stats: {
+                delivered: 0,
+                spent: 0,
+                since: Game.time,
+                netPerTick: null
+            }
+        };
+        
+        console.log(`Starting remote mining in ${roomName} from ${baseRoomName}`);
+    },
+    
+    /**
+     * Stop a remote mining operation and drop its queued creeps
+     * @param {string} roomName - The remote room
+     * @param {string} reason - Reason for the log
+     */
+    stopOperation: function(roomName, reason) {
+        const roomData = Memory.remoteOps.rooms[roomName];
+        if (!roomData || !roomData.mining) return;
+        
+        this.cancelQueuedCreeps(roomName, roomData.mining.baseRoom);
+        delete roomData.mining;
+        
+        console.log(`Stopped remote mining in ${roomName}: ${reason}`);
+    },
+    
+    /**
+     * Suspend a remote operation - its creeps retreat to the base room
+     * @param {string} roomName - The remote room
+     * @param {string} reason - Reason for the log
+     * @param {boolean} [invaders] - Suspended for NPC invaders only, resume as soon as they're cleared
+     */
+    suspendOperation: function(roomName, reason, invaders = false) {
+        const roomData = Memory.remoteOps.rooms[roomName];
+        if (!roomData || !roomData.mining || roomData.mining.status !== 'active') return;
+        
+        const op = roomData.mining;
+        op.status = 'suspended';
+        op.suspendedUntil = Game.time + this.SUSPEND_TIME;
+        op.invaders = invaders;
+        this.cancelQueuedCreeps(roomName, op.baseRoom);
+        
+        console.log(`Suspended remote mining in ${roomName} until ${op.suspendedUntil}: ${reason}`);
+    },
+    
+    /**
+     * Remove queued spawn requests belonging to a remote operation
+     * @param {string} roomName - The remote room
+     * @param {string} baseRoomName - The base room with the spawn queue
+     */
+    cancelQueuedCreeps: function(roomName, baseRoomName) {
+        const spawnManager = require('spawnManager');
+        const queue = spawnManager.getQueue(baseRoomName);
+        
+        for (const entry of queue.slice()) {
+            if (entry.memory && entry.memory.remoteOp === roomName) {
+                spawnManager.cancelRequest(baseRoomName, entry.id);
+            }
+        }
+    },
+    
+    /**
+     * Check whether remote creeps should be working in a room
+     * @param {string} roomName - The remote room
+     * @returns {boolean} - True if the operation is running
+     */
+    isOperationActive: function(roomName) {
+        const roomData = Memory.remoteOps && Memory.remoteOps.rooms[roomName];
+        return !!(roomData && roomData.mining && roomData.mining.status === 'active');
+    },
+    
+    /**
+     * Get a remote mining operation
+     * @param {string} roomName - The remote room
+     * @returns {Object|null} - Operation memory or null if there is none
+     */
+    getOperation: function(roomName) {
+        const roomData = Memory.remoteOps && Memory.remoteOps.rooms[roomName];
+        return roomData && roomData.mining ? roomData.mining : null;
+    },
+    
+    /**
+     * Record NPC invaders in a room's intel
+     * @param {Object} roomData - Room intel memory
+     * @param {Creep[]} invaders - Invader creeps in the room
+     */
+    recordInvaders: function(roomData, invaders) {
+        roomData.invaders = invaders.length;
+        
+        if (invaders.length > 0) {
+            roomData.invaderParts = require('defenseManager').getEnemyComposition(invaders);
+        } else {
+            delete roomData.invaderParts;
+        }
+    },
+    
+    /**
+     * Suspend the operation in a room if dangerous hostiles are present
+     * Remote creeps call this so we react before the next scan.
+     * @param {Room} room - The visible remote room
+     * @returns {boolean} - True if hostiles were found
+     */
+    checkHostiles: function(room) {
+        const diplomacy = require('diplomacy');
+        const hostiles = room.find(FIND_HOSTILE_CREEPS, {
+            filter: c => (c.getActiveBodyparts(ATTACK) > 0 || c.getActiveBodyparts(RANGED_ATTACK) > 0) &&
+                         diplomacy.isHostileCreep(c)
+        });
+        if (hostiles.length === 0) return false;
+        
+        // Invaders get a response squad and the operation resumes once they're gone
+        const invaders = hostiles.filter(c => c.owner.username === 'Invader');
+        const roomData = Memory.remoteOps.rooms[room.name];
+        if (roomData) {
+            if (invaders.length < hostiles.length) roomData.hostiles = true;
+            this.recordInvaders(roomData, invaders);
+        }
+        
+        if (invaders.length === hostiles.length) {
+            this.suspendOperation(room.name, `${invaders.length} invaders`, true);
+        } else {
+            const player = hostiles.find(c => c.owner.username !== 'Invader');
+            this.suspendOperation(room.name, `${hostiles.length} hostiles (${player.owner.username})`);
+        }
+        
+        return true;
+    },
+    
+    /**
+     * Run a single remote mining operation
+     * @param {string} roomName - The remote room
+     */
+    runOperation: function(roomName) {
+        const roomData = Memory.remoteOps.rooms[roomName];
+        const op = roomData.mining;
+        const base = Game.rooms[op.baseRoom];
+        
+        if (!base || !base.controller || !base.controller.my) {
+            this.stopOperation(roomName, `lost base room ${op.baseRoom}`);
+            return;
+        }
+        
+        // Someone else took the room - invader cores reserve it too, but those we destroy
+        const reservation = roomData.reservation;
+        if (roomData.owner || (reservation && reservation.username !== utils.getUsername() &&
+                               reservation.username !== 'Invader')) {
+            this.stopOperation(roomName, 'room claimed or reserved by another player');
+            return;
+        }
+        
+        const structures = roomData.hostileStructures || {};
+        if (structures.invaderCoreLevel > 0) {
+            this.stopOperation(roomName, `invader stronghold level ${structures.invaderCoreLevel}`);
+            return;
+        }
+        
+        const invaders = roomData.invaders > 0;
+        if (invaders || structures.invaderCore) {
+            this.respondToInvaders(roomName, base);
+        }
+        
+        if (op.status === 'active' && roomData.hostiles) {
+            this.suspendOperation(roomName, 'hostiles present');
+        } else if (op.status === 'active' && (this.isUnsafe(roomName) || this.isUnsafe(op.baseRoom))) {
+            // Haulers would carry their loads straight into the fight
+            this.suspendOperation(roomName, 'room marked unsafe');
+        } else if (op.status === 'active' && invaders) {
+            this.suspendOperation(roomName, `${roomData.invaders} invaders`, true);
+        } else if (op.status === 'suspended' && Game.time >= op.suspendedUntil) {
+            // Creeps head back in and re-check the room on arrival
+            op.status = 'active';
+            roomData.hostiles = false;
+            roomData.invaders = 0;
+            console.log(`Resuming remote mining in ${roomName}`);
+        } else if (op.status === 'suspended' && op.invaders && Game.rooms[roomName] && !invaders && !roomData.hostiles) {
+            // Defenders cleared the invaders and keep the room in sight
+            op.status = 'active';
+            console.log(`Resuming remote mining in ${roomName}: invaders cleared`);
+        }
+        
+        this.updateOperationStats(roomName, op);
+        
+        if (op.status !== 'active') return;
+        
+        // Roads and containers need vision of the remote room
+        if (Game.rooms[roomName] && (!op.roadsPlanned || Game.time - op.roadsPlanned > this.ROAD_PLAN_INTERVAL)) {
+            this.planRemoteInfrastructure(roomName, op, base);
+        }
+        
+        this.requestRemoteCreeps(roomName, op, base);
+    },
+    
+    /**
+     * Send defenders against invaders and unguarded invader cores in a remote room
+     * @param {string} roomName - The remote room
+     * @param {Room} base - The base room that spawns the squad
+     */
+    respondToInvaders: function(roomName, base) {
+        const defenseManager = require('defenseManager');
+        const spawnManager = require('spawnManager');
+        const roomData = Memory.remoteOps.rooms[roomName];
+        
+        const composition = Object.assign({ attack: 0, ranged: 0, heal: 0, work: 0, tough: 0 }, roomData.invaderParts);
+        
+        // A core doesn't fight back but has plenty of hits to chew through
+        if (roomData.hostileStructures && roomData.hostileStructures.invaderCore) {
+            composition.attack = Math.max(composition.attack, this.CORE_ATTACK_PARTS);
+        }
+        
+        const plan = defenseManager.getDefenderPlan(base, composition);
+        if (!plan) return;
+        
+        // Ahead of the operation's own creeps, which are useless until the room is cleared
+        defenseManager.queueDefenders(base.name, roomName, plan, spawnManager.PRIORITY.REMOTE - 1);
+    },
+    
+    /**
+     * Queue the creeps a remote operation is missing
+     * @param {string} roomName - The remote room
+     * @param {Object} op - Operation memory
+     * @param {Room} base - The base room
+     */
+    requestRemoteCreeps: function(roomName, op, base) {
+        const spawnManager = require('spawnManager');
+        const roomData = Memory.remoteOps.rooms[roomName];
+        const sources = roomData.sourcePositions || [];
+        if (sources.length === 0) return;
+        
+        // Count living and queued creeps for this operation
+        const miners = {};
+        let haulers = 0;
+        let reservers = 0;
+        for (const name in Game.creeps) {
+            const memory = Game.creeps[name].memory;
+            if (memory.remoteOp !== roomName) continue;
+            
+            if (memory.role === 'remoteMiner') miners[memory.sourceId] = true;
+            else if (memory.role === 'remoteHauler') haulers++;
+            else if (memory.role === 'reserver') reservers++;
+        }
+        for (const entry of spawnManager.getQueue(base.name)) {
+            if (!entry.memory || entry.memory.remoteOp !== roomName) continue;
+            
+            if (entry.role === 'remoteMiner') miners[entry.memory.sourceId] = true;
+            else if (entry.role === 'remoteHauler') haulers++;
+            else if (entry.role === 'reserver') reservers++;
+        }
+        
+        for (const source of sources) {
+            if (miners[source.id]) continue;
+            
+            spawnManager.requestCreep(base.name, {
+                key: `remoteMiner_${source.id}`,
+                role: 'remoteMiner',
+                memory: { targetRoom: roomName, remoteOp: roomName, sourceId: source.id },
+                priority: spawnManager.PRIORITY.REMOTE
+            });
+        }
+        
+        // Haulers only make sense once a miner is working
+        if (Object.keys(miners).length > 0 && haulers < this.getHaulersNeeded(roomName, op, base)) {
+            spawnManager.requestCreep(base.name, {
+                key: `remoteHauler_${roomName}_${Game.time}`,
+                role: 'remoteHauler',
+                memory: { targetRoom: roomName, remoteOp: roomName },
+                priority: spawnManager.PRIORITY.REMOTE + 1
+            });
+        }
+        
+        // Reserving doubles source capacity once we can afford a CLAIM part
+        const reservation = roomData.reservation;
+        const reservationLow = !reservation || reservation.ticksToEnd < 3000;
+        if (reservers === 0 && reservationLow &&
+            base.energyCapacityAvailable >= BODYPART_COST[CLAIM] + BODYPART_COST[MOVE]) {
+            spawnManager.requestCreep(base.name, {
+                key: `reserver_${roomName}`,
+                role: 'reserver',
+                memory: { targetRoom: roomName, remoteOp: roomName },
+                priority: spawnManager.PRIORITY.REMOTE + 2
+            });
+        }
+    },
+    
+    /**
+     * Calculate how many remote haulers an operation needs
+     * @param {string} roomName - The remote room
+     * @param {Object} op - Operation memory
+     * @param {Room} base - The base room
+     * @returns {number} - Number of haulers
+     */
+    getHaulersNeeded: function(roomName, op, base) {
+        const spawnManager = require('spawnManager');
+        const roomData = Memory.remoteOps.rooms[roomName];
+        const reserved = roomData.reservation && roomData.reservation.username === utils.getUsername();
+        const capacity = reserved ? SOURCE_ENERGY_CAPACITY : SOURCE_ENERGY_NEUTRAL_CAPACITY;
+        const energyPerTick = capacity / ENERGY_REGEN_TIME;
+        
+        const haulerBody = spawnManager.calculateBody('remoteHauler', base.energyCapacityAvailable);
+        const carryPerHauler = Math.max(1, haulerBody.filter(part => part === CARRY).length);
+        
+        let carryNeeded = 0;
+        for (const source of roomData.sourcePositions) {
+            // Prefer the road path, then the scouted path, then assume a full room of travel
+            const pathLength = op.pathLengths[source.id] || source.pathLength || 50;
+            carryNeeded += energyPerTick * (pathLength * 2 + 4) / CARRY_CAPACITY;
+        }
+        
+        return Math.ceil(carryNeeded / carryPerHauler);
+    },
+    
+    /**
+     * Plan containers at remote sources and roads back to the base
+     * Sites are placed in visible rooms only; remote creeps build them.
+     * @param {string} roomName - The remote room
+     * @param {Object} op - Operation memory
+     * @param {Room} base - The base room
+     */
+    planRemoteInfrastructure: function(roomName, op, base) {
+        const roomData = Memory.remoteOps.rooms[roomName];
+        const origin = base.storage || base.find(FIND_MY_SPAWNS)[0];
+        if (!origin || !roomData.sourcePositions) return;
+        
+        // Stay well below the global construction site limit
+        let sitesAvailable = MAX_CONSTRUCTION_SITES - 20 - Object.keys(Game.constructionSites).length;
+        
+        for (const source of roomData.sourcePositions) {
+            const result = PathFinder.search(origin.pos, {
+                pos: new RoomPosition(source.x, source.y, roomName),
+                range: 1
+            }, {
+                plainCost: 2,
+                swampCost: 10,
+                roomCallback: name => this.getRemoteCostMatrix(name, roomName, op.baseRoom)
+            });
+            
+            if (result.incomplete || result.path.length === 0) continue;
+            
+            op.pathLengths[source.id] = result.path.length;
+            
+            // The last step is next to the source - the miner parks and the container goes there
+            const containerPos = result.path[result.path.length - 1];
+            op.containers[source.id] = { x: containerPos.x, y: containerPos.y };
+            
+            for (let i = 0; i < result.path.length && sitesAvailable > 0; i++) {
+                const pos = result.path[i];
+                const room = Game.rooms[pos.roomName];
+                if (!room) continue;
+                
+                const structureType = i === result.path.length - 1 ? STRUCTURE_CONTAINER : STRUCTURE_ROAD;
+                if (room.createConstructionSite(pos, structureType) === OK) {
+                    sitesAvailable--;
+                }
+            }
+        }
+        
+        op.roadsPlanned = Game.time;
+    },
+    
+    /**
+     * Cost matrix for remote road paths - prefers existing roads
+     * @param {string} name - Room the path is searching
+     * @param {string} remoteRoom - The remote room
+     * @param {string} baseRoom - The base room
+     * @returns {CostMatrix|boolean} - Cost matrix, or false to block the room
+     */
+    getRemoteCostMatrix: function(name, remoteRoom, baseRoom) {
+        // Keep roads inside the two rooms the operation uses
+        if (name !== remoteRoom && name !== baseRoom) return false;
+        
+        const room = Game.rooms[name];
+        const costs = new PathFinder.CostMatrix();
+        if (!room) return costs;
+        
+        for (const structure of room.find(FIND_STRUCTURES)) {
+            if (structure.structureType === STRUCTURE_ROAD) {
+                costs.set(structure.pos.x, structure.pos.y, 1);
+            } else if (structure.structureType !== STRUCTURE_CONTAINER &&
+                       (structure.structureType !== STRUCTURE_RAMPART || !structure.my)) {
+                costs.set(structure.pos.x, structure.pos.y, 255);
+            }
+        }
+        for (const site of room.find(FIND_CONSTRUCTION_SITES)) {
+            if (site.structureType === STRUCTURE_ROAD) {
+                costs.set(site.pos.x, site.pos.y, 1);
+            }
+        }
+        
+        return costs;
+    },
+    
+    /**
+     * Record energy delivered to the base by a remote hauler
+     * @param {string} roomName - The remote room
+     * @param {number} amount - Energy delivered
+     */
+    recordDelivery: function(roomName, amount) {
+        const op = this.getOperation(roomName);
+        if (op) op.stats.delivered += amount;
+    },
+    
+    /**
+     * Record the body cost of a creep spawned for a remote operation
+     * @param {string} roomName - The remote room
+     * @param {number} cost - Energy spent on the creep
+     */
+    recordSpawnCost: function(roomName, cost) {
+        const op = this.getOperation(roomName);
+        if (op) op.stats.spent += cost;
+    },
+    
+    /**
+     * Roll the stats window over and compute net energy per tick
+     * @param {string} roomName - The remote room
+     * @param {Object} op - Operation memory
+     */
+    updateOperationStats: function(roomName, op) {
+        const stats = op.stats;
+        const elapsed = Game.time - stats.since;
+        if (elapsed < this.STATS_WINDOW) return;
+        
+        stats.netPerTick = (stats.delivered - stats.spent) / elapsed;
+        console.log(`Remote ${roomName}: delivered ${stats.delivered}, spent ${stats.spent}, ` +
+            `net ${stats.netPerTick.toFixed(2)} energy/tick`);
+        
+        stats.delivered = 0;
+        stats.spent = 0;
+        stats.since = Game.time;
+    },
+    
+    /**
+     * Get the net energy per tick of a remote operation
+     * Uses the running window until the first full window has completed.
+     * @param {string} roomName - The remote room
+     * @returns {number|null} - Net energy per tick or null if there is no operation
+     */
+    getNetEnergyPerTick: function(roomName) {
+        const op = this.getOperation(roomName);
+        if (!op) return null;
+        
+        if (op.stats.netPerTick !== null) return op.stats.netPerTick;
+        
+        const elapsed = Math.max(1, Game.time - op.stats.since);
+        return (op.stats.delivered - op.stats.spent) / elapsed;
+    },
+    
+    /**
+     * Wait in the home room while the operation is suspended
+     * @param {Creep} creep - The creep to move
+     */
+    retreatCreep: function(creep) {
+        const homeRoom = Game.rooms[creep.memory.homeRoom];
+        if (homeRoom && homeRoom.controller &&
+            (creep.room.name !== homeRoom.name || !creep.pos.inRangeTo(homeRoom.controller, 5))) {
+            travel.travelTo(creep, homeRoom.controller, { range: 5, reusePath: 50 });
+        }
+    },
+    
+    /**
+     * Return the creep's body energy at the nearest home spawn
+     * @param {Creep} creep - The creep to recycle
+     */
+    recycleCreep: function(creep) {
+        const homeRoom = Game.rooms[creep.memory.homeRoom];
+        const spawn = homeRoom && homeRoom.find(FIND_MY_SPAWNS)[0];
+        if (!spawn) {
+            creep.suicide();
+            return;
+        }
+        
+        if (spawn.recycleCreep(creep) === ERR_NOT_IN_RANGE) {
+            travel.travelTo(creep, spawn, { reusePath: 50 });
+        }
     }
 };
 
@@ -2,6 +2,8 @@
  * Builder Role - Construction and repair
  * CPU optimized for maximum efficiency
  */
+const trafficManager = require('trafficManager');
+
 const roleBuilder = {
     /**
      * Run the builder role
@@ -72,6 +74,18 @@ const roleBuilder = {
         // Use cached target if available
         let target = creep.memory.targetId ? Game.getObjectById(creep.memory.targetId) : null;
         
+        // A finished rampart starts at 1 hit - keep working on it before it decays
+        if (!target && creep.memory.targetType === STRUCTURE_RAMPART && creep.memory.targetPos) {
+            const pos = creep.memory.targetPos;
+            target = creep.room.lookForAt(LOOK_STRUCTURES, pos.x, pos.y)
+                .find(s => s.structureType === STRUCTURE_RAMPART) || null;
+        }
+        
+        // Fortifications are done once they reach the room's hit target
+        if (target && target.hits !== undefined && require('fortificationManager').isDone(target)) {
+            target = null;
+        }
+        
         // If target is gone or completed, find a new one
         if (!target || (target.progress !== undefined && target.progress === target.progressTotal)) {
             delete creep.memory.targetId;
@@ -90,6 +104,7 @@ const roleBuilder = {
         // Cache the target
         if (target) {
             creep.memory.targetId = target.id;
+            creep.memory.targetType = target.structureType;
             
             // Cache position if not already done
             if (!creep.memory.targetPos) {
@@ -124,13 +139,15 @@ const roleBuilder = {
                 }
                 
                 if (actionResult === ERR_NOT_IN_RANGE) {
-                    creep.moveTo(
+                    trafficManager.moveTo(
+                        creep,
                         new RoomPosition(
                             creep.memory.targetPos.x,
                             creep.memory.targetPos.y,
                             creep.memory.targetPos.roomName
                         ),
                         { 
+                            range: 3,
                             reusePath: 10,
                             visualizePathStyle: {stroke: '#3333ff'}
                         }
@@ -139,7 +156,9 @@ const roleBuilder = {
                     console.log(`Builder ${creep.name} has invalid target ${target.id}, finding new target`);
                     delete creep.memory.targetId;
                     delete creep.memory.targetPos;
-                } else if (actionResult !== OK) {
+                } else if (actionResult === OK) {
+                    trafficManager.park(creep, target, 3);
+                } else {
                     // Log errors other than distance
                     console.log(`Builder ${creep.name} error: ${actionResult} when interacting with target ${target.id}`);
                 }
@@ -158,7 +177,11 @@ const roleBuilder = {
      */
     findBuildTarget: function(creep) {
         const roomManager = require('roomManager');
-        let target = null;
+        const fortificationManager = require('fortificationManager');
+        
+        // Ramparts about to decay come before any construction
+        let target = fortificationManager.getRepairTask(creep, true);
+        if (target) return target;
         
         // Get construction site data from room manager
         const constructionSiteIds = roomManager.getRoomData(creep.room.name, 'constructionSiteIds');
@@ -220,7 +243,7 @@ const roleBuilder = {
             // Prioritize critical structures (containers over roads)
             const repairTargets = creep.room.find(FIND_STRUCTURES, {
                 filter: s => s.hits < s.hitsMax * 0.5 && // Only repair if below 50%
-                          s.hits < 10000 && // Don't repair walls/ramparts beyond this in early game
+                          s.hits < 10000 && // Ramparts and walls are handled by fortificationManager
                           (s.structureType === STRUCTURE_CONTAINER || 
                            s.structureType === STRUCTURE_SPAWN ||
                            s.structureType === STRUCTURE_EXTENSION ||
@@ -255,6 +278,11 @@ const roleBuilder = {
             }
         }
         
+        // Then raise the weakest rampart or wall towards the room's hit target
+        if (!target) {
+            target = fortificationManager.getRepairTask(creep);
+        }
+        
         // If no repair targets, default to controller
         if (!target) {
             target = creep.room.controller;
@@ -316,7 +344,7 @@ const roleBuilder = {
             // If no energy source found, move to a waiting area near spawn
             const spawn = creep.room.find(FIND_MY_SPAWNS)[0];
             if (spawn) {
-                creep.moveTo(spawn, { range: 3, reusePath: 20 });
+                trafficManager.moveTo(creep, spawn, { range: 3, reusePath: 20 });
             }
         }
     },
@@ -416,54 +444,30 @@ const roleBuilder = {
     },
     
     /**
-     * Register an energy request for haulers to fulfill
+     * Post a logistics demand for haulers to fulfill
      * @param {Creep} creep - The builder creep requesting energy
      */
     registerEnergyRequest: function(creep) {
-        // Initialize the energy request registry if it doesn't exist
-        if (!creep.room.memory.energyRequests) {
-            creep.room.memory.energyRequests = {};
-        }
+        const logistics = require('logistics');
         
-        // Get target site information if available
-        let targetSiteInfo = null;
-        if (creep.memory.targetId) {
-            const targetSite = Game.getObjectById(creep.memory.targetId);
-            if (targetSite) {
-                targetSiteInfo = {
-                    id: targetSite.id,
-                    pos: {
-                        x: targetSite.pos.x,
-                        y: targetSite.pos.y,
-                        roomName: targetSite.pos.roomName
-                    },
-                    structureType: targetSite.structureType
-                };
-            }
-        }
+        // Builders rank after spawns and extensions, whatever they are working on
+        const priority = Math.max(0, Math.min(59, this.calculateRequestPriority(creep)));
         
-        // Create or update request
-        creep.room.memory.energyRequests[creep.id] = {
+        logistics.post(creep.room, {
             id: creep.id,
-            pos: {x: creep.pos.x, y: creep.pos.y, roomName: creep.room.name},
+            type: 'demand',
+            resourceType: RESOURCE_ENERGY,
             amount: creep.store.getFreeCapacity(RESOURCE_ENERGY),
-            timestamp: Game.time,
-            waitStartTime: creep.memory.waitStartTime || Game.time,
-            targetSite: targetSiteInfo,
-            priority: this.calculateRequestPriority(creep)
-        };
+            priority: logistics.PRIORITY.BUILDER + priority
+        });
     },
     
     /**
-     * Clear an energy request when no longer needed
+     * Withdraw the logistics demand when no longer needed
      * @param {Creep} creep - The builder creep clearing its request
      */
     clearEnergyRequest: function(creep) {
-        // Clear the request when no longer needed
-        if (creep.room.memory.energyRequests && 
-            creep.room.memory.energyRequests[creep.id]) {
-            delete creep.room.memory.energyRequests[creep.id];
-        }
+        require('logistics').cancel(creep.room, creep.id);
     },
     
     /**
@@ -558,13 +562,15 @@ const roleBuilder = {
         }
         
         if (actionResult === ERR_NOT_IN_RANGE) {
-            creep.moveTo(
+            trafficManager.moveTo(
+                creep,
                 new RoomPosition(
                     creep.memory.sourcePos.x,
                     creep.memory.sourcePos.y,
                     creep.memory.sourcePos.roomName
                 ),
                 { 
+                    range: 1,
                     reusePath: 10,
                     visualizePathStyle: {stroke: '#ffaa00'}
                 }
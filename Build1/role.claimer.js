@@ -0,0 +1,47 @@
+/**
+ * Claimer Role - Claims the controller of an expansion target
+ * Spawned by expansionManager, single CLAIM part
+ */
+const trafficManager = require('trafficManager');
+const travel = require('travel');
+
+const roleClaimer = {
+    /**
+     * Run the claimer role
+     * @param {Creep} creep - The creep to run the role for
+     */
+    run: function(creep) {
+        const target = creep.memory.targetRoom;
+        if (!target) return;
+        
+        if (creep.room.name !== target) {
+            travel.travelTo(creep, new RoomPosition(25, 25, target), { range: 20, reusePath: 50 });
+            return;
+        }
+        
+        const controller = creep.room.controller;
+        if (!controller || controller.my) {
+            // Nothing left to claim
+            creep.suicide();
+            return;
+        }
+        
+        let result = creep.claimController(controller);
+        
+        // Someone else's reservation has to be worn down first
+        if (result === ERR_INVALID_TARGET && controller.reservation) {
+            result = creep.attackController(controller);
+        }
+        
+        if (result === ERR_NOT_IN_RANGE) {
+            trafficManager.moveTo(creep, controller, { range: 1, reusePath: 20, visualizePathStyle: {stroke: '#00ff00'} });
+        } else if (result === ERR_GCL_NOT_ENOUGH) {
+            const utils = require('utils');
+            utils.logError(`claimer_gcl_${creep.name}`, `GCL too low to claim ${target}`, 100);
+        } else if (result === OK) {
+            console.log(`Claimer ${creep.name} claimed ${target}`);
+        }
+    }
+};
+
+module.exports = roleClaimer;
@@ -0,0 +1,71 @@
+/**
+ * Defender Role - Melee defense of an owned room
+ * Fights from ramparts next to the attackers where it can
+ */
+const defenseManager = require('defenseManager');
+const trafficManager = require('trafficManager');
+const travel = require('travel');
+
+const roleDefender = {
+    /**
+     * Run the defender role
+     * @param {Creep} creep - The creep to run the role for
+     */
+    run: function(creep) {
+        const targetRoom = creep.memory.targetRoom || creep.memory.homeRoom;
+        
+        if (creep.room.name !== targetRoom) {
+            travel.travelTo(creep, new RoomPosition(25, 25, targetRoom), { range: 20, reusePath: 20 });
+            return;
+        }
+        
+        const hostiles = defenseManager.getHostiles(creep.room);
+        if (hostiles.length === 0) {
+            // Invader cores in remote rooms are cleared once their guards are dead
+            const core = defenseManager.findInvaderCore(creep.room);
+            if (core) {
+                delete creep.memory.idleSince;
+                if (creep.attack(core) === ERR_NOT_IN_RANGE) {
+                    trafficManager.moveTo(creep, core, { reusePath: 10, visualizePathStyle: {stroke: '#ff0000'} });
+                }
+                return;
+            }
+            
+            if (defenseManager.standDownDefender(creep)) return;
+            this.guard(creep);
+            return;
+        }
+        
+        delete creep.memory.idleSince;
+        const target = creep.pos.findClosestByRange(hostiles);
+        
+        // Hold a rampart next to the attacker, chase only when none is in reach
+        const rampart = defenseManager.findFightingRampart(creep, target, 1);
+        if (rampart) {
+            if (!creep.pos.isEqualTo(rampart.pos)) {
+                trafficManager.moveTo(creep, rampart, { range: 0, reusePath: 5 });
+            }
+        } else {
+            trafficManager.moveTo(creep, target, { reusePath: 3, visualizePathStyle: {stroke: '#ff0000'} });
+        }
+        
+        // Hit the chosen target, or whatever else is adjacent on the way
+        const adjacent = creep.pos.isNearTo(target) ? target : hostiles.find(h => creep.pos.isNearTo(h));
+        if (adjacent) {
+            creep.attack(adjacent);
+        }
+    },
+    
+    /**
+     * Wait near the core while the room is quiet
+     * @param {Creep} creep - The defender
+     */
+    guard: function(creep) {
+        const anchor = creep.room.storage || creep.room.find(FIND_MY_SPAWNS)[0] || creep.room.controller;
+        if (anchor && !creep.pos.inRangeTo(anchor, 4)) {
+            trafficManager.moveTo(creep, anchor, { range: 4, reusePath: 20 });
+        }
+    }
+};
+
+module.exports = roleDefender;
@@ -3,6 +3,7 @@
  * CPU optimized for maximum efficiency
  */
 const roomManager = require('roomManager');
+const trafficManager = require('trafficManager');
 
 const roleHarvester = {
     /**
@@ -11,6 +12,15 @@ const roleHarvester = {
      */
     run: function(creep) {
         const utils = require('utils');
+        const spawnManager = require('spawnManager');
+        
+        // Replacements are spawned with the old harvester's source - claim it once
+        if (creep.memory.replacing) {
+            if (creep.memory.sourceId) {
+                roomManager.claimSource(creep.memory.sourceId, creep.memory.homeRoom);
+            }
+            delete creep.memory.replacing;
+        }
         
         // If creep is dying, release its source
         if (creep.ticksToLive < 30 && creep.memory.sourceId) {
@@ -76,7 +86,7 @@ const roleHarvester = {
                     
                     if (creep.memory.idlePos) {
                         try {
-                            creep.moveTo(new RoomPosition(
+                            trafficManager.moveTo(creep, new RoomPosition(
                                 creep.memory.idlePos.x,
                                 creep.memory.idlePos.y,
                                 creep.memory.idlePos.roomName
@@ -84,7 +94,7 @@ const roleHarvester = {
                         } catch (e) {
                             // If movement fails, try to move to spawn directly
                             const spawn = creep.room.find(FIND_MY_SPAWNS)[0];
-                            if (spawn) creep.moveTo(spawn);
+                            if (spawn) trafficManager.moveTo(creep, spawn);
                         }
                     }
                 }
@@ -118,7 +128,7 @@ const roleHarvester = {
                 const container = Game.getObjectById(creep.memory.containerId);
                 if (container) {
                     if (creep.transfer(container, RESOURCE_ENERGY) === ERR_NOT_IN_RANGE) {
-                        creep.moveTo(container, { reusePath: 5 });
+                        trafficManager.moveTo(creep, container, { reusePath: 5 });
                     }
                 } else {
                     // Container was destroyed, reset cache
@@ -166,14 +176,18 @@ const roleHarvester = {
                 
                 // Move to safety
                 const spawn = creep.room.find(FIND_MY_SPAWNS)[0];
-                if (spawn) creep.moveTo(spawn, { reusePath: 5 });
+                if (spawn) trafficManager.moveTo(creep, spawn, { reusePath: 5 });
                 return;
             }
         }
         
         // Move to source and harvest
         const harvestResult = creep.harvest(source);
-        if (harvestResult === ERR_NOT_IN_RANGE) {
+        if (harvestResult === OK) {
+            // First successful harvest marks the end of the trip from the spawn
+            spawnManager.recordArrival(creep);
+            trafficManager.park(creep, source, 1);
+        } else if (harvestResult === ERR_NOT_IN_RANGE) {
             // Check if path to source is safe
             if (creep.memory.sourcePos) {
                 const targetPos = new RoomPosition(
@@ -182,12 +196,13 @@ const roleHarvester = {
                     creep.memory.sourcePos.roomName
                 );
                 
-                creep.moveTo(targetPos, { 
+                trafficManager.moveTo(creep, targetPos, { 
+                    range: 1,
                     reusePath: 30, // Reuse path for longer since harvesters are static
                     visualizePathStyle: {stroke: '#ffaa00'}
                 });
             } else {
-                creep.moveTo(source, { 
+                trafficManager.moveTo(creep, source, { 
                     reusePath: 30,
                     visualizePathStyle: {stroke: '#ffaa00'}
                 });
@@ -236,12 +251,12 @@ const roleHarvester = {
         
         if (target) {
             if (creep.transfer(target, RESOURCE_ENERGY) === ERR_NOT_IN_RANGE) {
-                creep.moveTo(target, { reusePath: 10 });
+                trafficManager.moveTo(creep, target, { reusePath: 10 });
             }
         } else {
             // If no structures need energy, upgrade controller
             if (creep.upgradeController(creep.room.controller) === ERR_NOT_IN_RANGE) {
-                creep.moveTo(creep.room.controller, { reusePath: 10 });
+                trafficManager.moveTo(creep, creep.room.controller, { reusePath: 10 });
             }
         }
     }
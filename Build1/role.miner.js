@@ -0,0 +1,127 @@
+/**
+ * Miner Role - Static source mining onto a container
+ * Parks on the planned container tile and never walks to deliver energy
+ */
+const trafficManager = require('trafficManager');
+const travel = require('travel');
+
+const roleMiner = {
+    /**
+     * Run the miner role
+     * @param {Creep} creep - The creep to run the role for
+     */
+    run: function(creep) {
+        const utils = require('utils');
+        const spawnManager = require('spawnManager');
+        
+        // Miners are always spawned with a source assigned
+        if (!creep.memory.sourceId) {
+            utils.logError(`miner_nosource_${creep.name}`, `Miner ${creep.name} has no source assigned`, 100);
+            return;
+        }
+        
+        const source = Game.getObjectById(creep.memory.sourceId);
+        if (!source) {
+            // Source room not visible or source gone - head home and wait
+            const homeRoom = Game.rooms[creep.memory.homeRoom];
+            if (homeRoom && homeRoom.controller) {
+                travel.travelTo(creep, homeRoom.controller, { range: 3, reusePath: 20 });
+            }
+            return;
+        }
+        
+        const workPos = this.getWorkPosition(creep, source);
+        
+        // Walk to the container tile first
+        if (workPos && !creep.pos.isEqualTo(workPos)) {
+            // The tile may still be occupied by the miner we are replacing
+            const occupied = workPos.lookFor(LOOK_CREEPS).length > 0;
+            
+            if (occupied && creep.pos.isNearTo(source)) {
+                creep.harvest(source);
+            } else {
+                trafficManager.moveTo(creep, workPos, {
+                    reusePath: 30,
+                    visualizePathStyle: {stroke: '#ffaa00'}
+                });
+            }
+            return;
+        }
+        
+        // No container planned - just stand next to the source
+        if (!workPos && !creep.pos.isNearTo(source)) {
+            trafficManager.moveTo(creep, source, {
+                reusePath: 30,
+                visualizePathStyle: {stroke: '#ffaa00'}
+            });
+            return;
+        }
+        
+        // Harvested energy drops straight into the container below us
+        if (creep.harvest(source) === OK) {
+            spawnManager.recordArrival(creep);
+        }
+        
+        // Nobody shoves a miner off its container
+        trafficManager.park(creep, workPos || source, workPos ? 0 : 1);
+        
+        // Miners with a CARRY part fill the source link next to the container instead
+        if (creep.store.getCapacity() > 0) {
+            this.fillLink(creep, source);
+        }
+    },
+    
+    /**
+     * Move harvested energy into the source link before the store overflows
+     * @param {Creep} creep - The miner
+     * @param {Source} source - The assigned source
+     */
+    fillLink: function(creep, source) {
+        const harvestPower = creep.getActiveBodyparts(WORK) * HARVEST_POWER;
+        if (creep.store.getFreeCapacity(RESOURCE_ENERGY) > harvestPower) return;
+        
+        const linkManager = require('linkManager');
+        const link = linkManager.getSourceLink(source.room, source.id);
+        
+        // A full link lets the energy fall into the container as usual
+        if (link && link.store.getFreeCapacity(RESOURCE_ENERGY) > 0 && creep.pos.isNearTo(link)) {
+            creep.transfer(link, RESOURCE_ENERGY);
+        }
+    },
+    
+    /**
+     * Get the tile the miner should park on
+     * @param {Creep} creep - The miner
+     * @param {Source} source - The assigned source
+     * @returns {RoomPosition|null} - Container tile or null if none is planned
+     */
+    getWorkPosition: function(creep, source) {
+        if (creep.memory.workPos) {
+            return new RoomPosition(creep.memory.workPos.x, creep.memory.workPos.y, creep.memory.workPos.roomName);
+        }
+        
+        // Prefer the tile planned by layoutPlanner.placeSourceStructures
+        const room = source.room;
+        const sourceMemory = room.memory.sources && room.memory.sources[source.id];
+        let pos = sourceMemory && sourceMemory.containerPos;
+        
+        // Fall back to any container or container site next to the source
+        if (!pos) {
+            const containers = source.pos.findInRange(FIND_STRUCTURES, 1, {
+                filter: s => s.structureType === STRUCTURE_CONTAINER
+            });
+            const sites = containers.length > 0 ? [] : source.pos.findInRange(FIND_CONSTRUCTION_SITES, 1, {
+                filter: s => s.structureType === STRUCTURE_CONTAINER
+            });
+            const container = containers[0] || sites[0];
+            if (container) pos = { x: container.pos.x, y: container.pos.y };
+        }
+        
+        if (!pos) return null;
+        
+        creep.memory.workPos = { x: pos.x, y: pos.y, roomName: source.pos.roomName };
+        return new RoomPosition(pos.x, pos.y, source.pos.roomName);
+    }
+};
+
+module.exports = roleMiner;
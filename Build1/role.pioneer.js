@@ -0,0 +1,96 @@
+/**
+ * Pioneer Role - Builds the first spawn of a new colony
+ * Harvests locally, builds the spawn site and keeps the controller from downgrading
+ */
+const trafficManager = require('trafficManager');
+const travel = require('travel');
+
+const rolePioneer = {
+    /**
+     * Run the pioneer role
+     * @param {Creep} creep - The creep to run the role for
+     */
+    run: function(creep) {
+        const target = creep.memory.targetRoom;
+        if (!target) return;
+        
+        if (creep.room.name !== target) {
+            travel.travelTo(creep, new RoomPosition(25, 25, target), { range: 20, reusePath: 50 });
+            return;
+        }
+        
+        // State switching
+        if (creep.memory.working && creep.store[RESOURCE_ENERGY] === 0) {
+            creep.memory.working = false;
+        }
+        if (!creep.memory.working && creep.store.getFreeCapacity() === 0) {
+            creep.memory.working = true;
+        }
+        
+        if (creep.memory.working) {
+            this.work(creep);
+        } else {
+            this.harvest(creep);
+        }
+    },
+    
+    /**
+     * Spend energy on the colony
+     * @param {Creep} creep - The pioneer
+     */
+    work: function(creep) {
+        const controller = creep.room.controller;
+        
+        // Don't let the fresh claim downgrade while everyone builds
+        if (controller && controller.my && controller.ticksToDowngrade < 1000) {
+            if (creep.upgradeController(controller) === ERR_NOT_IN_RANGE) {
+                trafficManager.moveTo(creep, controller, { range: 3, reusePath: 20 });
+            }
+            return;
+        }
+        
+        // Spawn site first, then anything else that was placed
+        const sites = creep.room.find(FIND_MY_CONSTRUCTION_SITES);
+        const site = sites.find(s => s.structureType === STRUCTURE_SPAWN) || sites[0];
+        if (site) {
+            if (creep.build(site) === ERR_NOT_IN_RANGE) {
+                trafficManager.moveTo(creep, site, { range: 3, reusePath: 20, visualizePathStyle: {stroke: '#ffffff'} });
+            }
+            return;
+        }
+        
+        if (controller && controller.my && creep.upgradeController(controller) === ERR_NOT_IN_RANGE) {
+            trafficManager.moveTo(creep, controller, { range: 3, reusePath: 20 });
+        }
+    },
+    
+    /**
+     * Harvest energy from the closest active source
+     * @param {Creep} creep - The pioneer
+     */
+    harvest: function(creep) {
+        // Energy left lying around is faster than mining
+        const dropped = creep.pos.findClosestByRange(FIND_DROPPED_RESOURCES, {
+            filter: r => r.resourceType === RESOURCE_ENERGY && r.amount >= 50
+        });
+        if (dropped && creep.pos.getRangeTo(dropped) < 5) {
+            if (creep.pickup(dropped) === ERR_NOT_IN_RANGE) {
+                trafficManager.moveTo(creep, dropped, { reusePath: 10 });
+            }
+            return;
+        }
+        
+        let source = creep.memory.sourceId ? Game.getObjectById(creep.memory.sourceId) : null;
+        if (!source || source.energy === 0) {
+            source = creep.pos.findClosestByPath(FIND_SOURCES_ACTIVE);
+            creep.memory.sourceId = source ? source.id : null;
+        }
+        if (!source) return;
+        
+        if (creep.harvest(source) === ERR_NOT_IN_RANGE) {
+            trafficManager.moveTo(creep, source, { reusePath: 20, visualizePathStyle: {stroke: '#ffaa00'} });
+        }
+    }
+};
+
+module.exports = rolePioneer;
@@ -0,0 +1,97 @@
+/**
+ * Ranged Defender Role - Ranged defense of an owned room
+ * Shoots from ramparts and keeps out of reach of melee attackers in the open
+ */
+const defenseManager = require('defenseManager');
+const trafficManager = require('trafficManager');
+const travel = require('travel');
+
+const roleRangedDefender = {
+    /**
+     * Run the ranged defender role
+     * @param {Creep} creep - The creep to run the role for
+     */
+    run: function(creep) {
+        const targetRoom = creep.memory.targetRoom || creep.memory.homeRoom;
+        
+        // Heal runs alongside attacks, so always top up
+        if (creep.hits < creep.hitsMax && creep.getActiveBodyparts(HEAL) > 0) {
+            creep.heal(creep);
+        }
+        
+        if (creep.room.name !== targetRoom) {
+            travel.travelTo(creep, new RoomPosition(25, 25, targetRoom), { range: 20, reusePath: 20 });
+            return;
+        }
+        
+        const hostiles = defenseManager.getHostiles(creep.room);
+        if (hostiles.length === 0) {
+            // Invader cores in remote rooms are cleared once their guards are dead
+            const core = defenseManager.findInvaderCore(creep.room);
+            if (core) {
+                delete creep.memory.idleSince;
+                if (creep.rangedAttack(core) === ERR_NOT_IN_RANGE) {
+                    trafficManager.moveTo(creep, core, { range: 3, reusePath: 10, visualizePathStyle: {stroke: '#ff0000'} });
+                }
+                return;
+            }
+            
+            if (defenseManager.standDownDefender(creep)) return;
+            require('role.defender').guard(creep);
+            return;
+        }
+        
+        delete creep.memory.idleSince;
+        const target = creep.pos.findClosestByRange(hostiles);
+        
+        this.position(creep, target);
+        this.shoot(creep, target, hostiles);
+    },
+    
+    /**
+     * Move onto a rampart in range of the target, or kite it in the open
+     * @param {Creep} creep - The ranged defender
+     * @param {Creep} target - The hostile being fought
+     */
+    position: function(creep, target) {
+        const rampart = defenseManager.findFightingRampart(creep, target, 3);
+        if (rampart) {
+            if (!creep.pos.isEqualTo(rampart.pos)) {
+                trafficManager.moveTo(creep, rampart, { range: 0, reusePath: 5 });
+            }
+            return;
+        }
+        
+        const range = creep.pos.getRangeTo(target);
+        if (range < 3 && target.getActiveBodyparts(ATTACK) > 0) {
+            // Stay out of melee reach but close enough to keep shooting
+            const result = PathFinder.search(creep.pos, { pos: target.pos, range: 3 }, { flee: true, maxRooms: 1 });
+            if (result.path.length > 0) {
+                trafficManager.step(creep, result.path[0]);
+            }
+        } else if (range > 3) {
+            trafficManager.moveTo(creep, target, { range: 3, reusePath: 3, visualizePathStyle: {stroke: '#ff0000'} });
+        }
+    },
+    
+    /**
+     * Fire at the target, or at everything nearby when that deals more damage
+     * @param {Creep} creep - The ranged defender
+     * @param {Creep} target - The preferred hostile
+     * @param {Creep[]} hostiles - All hostiles in the room
+     */
+    shoot: function(creep, target, hostiles) {
+        const inRange = hostiles.filter(h => creep.pos.inRangeTo(h, 3));
+        if (inRange.length === 0) return;
+        
+        // Mass attack does 10 damage at range 1, 4 at range 2 and 1 at range 3
+        const massDamage = inRange.reduce((sum, h) => sum + [10, 10, 4, 1][creep.pos.getRangeTo(h)], 0);
+        if (massDamage >= RANGED_ATTACK_POWER) {
+            creep.rangedMassAttack();
+        } else {
+            creep.rangedAttack(inRange.indexOf(target) !== -1 ? target : inRange[0]);
+        }
+    }
+};
+
+module.exports = roleRangedDefender;
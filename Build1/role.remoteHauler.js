@@ -0,0 +1,178 @@
+/**
+ * Remote Hauler Role - Carries energy from remote containers to the base room
+ * Maintains the remote road network on the way home
+ */
+const remoteManager = require('remoteManager');
+const trafficManager = require('trafficManager');
+const travel = require('travel');
+
+const roleRemoteHauler = {
+    /**
+     * Run the remote hauler role
+     * @param {Creep} creep - The creep to run the role for
+     */
+    run: function(creep) {
+        const op = remoteManager.getOperation(creep.memory.remoteOp);
+        
+        // State switching
+        if (creep.memory.delivering && creep.store[RESOURCE_ENERGY] === 0) {
+            creep.memory.delivering = false;
+        }
+        if (!creep.memory.delivering && creep.store.getFreeCapacity() === 0) {
+            creep.memory.delivering = true;
+            delete creep.memory.pickupId;
+        }
+        
+        if (creep.memory.delivering) {
+            this.deliver(creep);
+            return;
+        }
+        
+        // Bring home whatever is carried before waiting or recycling
+        if (!op || op.status !== 'active') {
+            if (creep.store[RESOURCE_ENERGY] > 0) {
+                creep.memory.delivering = true;
+                this.deliver(creep);
+            } else if (!op) {
+                remoteManager.recycleCreep(creep);
+            } else {
+                remoteManager.retreatCreep(creep);
+            }
+            return;
+        }
+        
+        this.collect(creep, op);
+    },
+    
+    /**
+     * Pick up energy from the remote containers
+     * @param {Creep} creep - The hauler
+     * @param {Object} op - Operation memory
+     */
+    collect: function(creep, op) {
+        if (creep.room.name !== creep.memory.targetRoom) {
+            travel.travelTo(creep, this.getWaitPos(creep, op), { range: 1, reusePath: 50 });
+            return;
+        }
+        
+        if (Game.time % 5 === 0 && remoteManager.checkHostiles(creep.room)) return;
+        
+        let target = creep.memory.pickupId ? Game.getObjectById(creep.memory.pickupId) : null;
+        if (target && (target.amount || (target.store && target.store[RESOURCE_ENERGY])) < 50) {
+            target = null;
+        }
+        
+        // Fullest pile or container first so nothing overflows
+        if (!target) {
+            const dropped = creep.room.find(FIND_DROPPED_RESOURCES, {
+                filter: r => r.resourceType === RESOURCE_ENERGY && r.amount >= 50
+            });
+            const containers = creep.room.find(FIND_STRUCTURES, {
+                filter: s => s.structureType === STRUCTURE_CONTAINER && s.store[RESOURCE_ENERGY] >= 50
+            });
+            
+            let bestAmount = 0;
+            for (const candidate of [...dropped, ...containers]) {
+                const amount = candidate.amount !== undefined ? candidate.amount : candidate.store[RESOURCE_ENERGY];
+                if (amount > bestAmount) {
+                    bestAmount = amount;
+                    target = candidate;
+                }
+            }
+            
+            creep.memory.pickupId = target ? target.id : null;
+        }
+        
+        if (!target) {
+            // Nothing ready yet - wait next to a miner
+            trafficManager.moveTo(creep, this.getWaitPos(creep, op), { range: 1, reusePath: 20 });
+            return;
+        }
+        
+        const result = target.amount !== undefined ? creep.pickup(target) : creep.withdraw(target, RESOURCE_ENERGY);
+        if (result === ERR_NOT_IN_RANGE) {
+            trafficManager.moveTo(creep, target, { reusePath: 20, visualizePathStyle: {stroke: '#ffaa00'} });
+        } else if (result === OK) {
+            delete creep.memory.pickupId;
+        }
+    },
+    
+    /**
+     * Carry energy back to the base room
+     * @param {Creep} creep - The hauler
+     */
+    deliver: function(creep) {
+        const homeRoom = Game.rooms[creep.memory.homeRoom];
+        if (!homeRoom) return;
+        
+        if (creep.room.name !== homeRoom.name) {
+            // Keep the road home in shape with the WORK part
+            this.maintainRoad(creep);
+            travel.travelTo(creep, homeRoom.storage || homeRoom.controller, { range: 1, reusePath: 50 });
+            return;
+        }
+        
+        let target = homeRoom.storage;
+        if (!target || target.store.getFreeCapacity(RESOURCE_ENERGY) === 0) {
+            target = creep.pos.findClosestByRange(FIND_MY_STRUCTURES, {
+                filter: s => (s.structureType === STRUCTURE_SPAWN ||
+                              s.structureType === STRUCTURE_EXTENSION ||
+                              s.structureType === STRUCTURE_TOWER) &&
+                             s.store.getFreeCapacity(RESOURCE_ENERGY) > 0
+            });
+        }
+        
+        if (!target) {
+            // Base is full - spend the energy on the controller instead
+            if (creep.upgradeController(homeRoom.controller) === ERR_NOT_IN_RANGE) {
+                trafficManager.moveTo(creep, homeRoom.controller, { range: 3, reusePath: 20 });
+            }
+            return;
+        }
+        
+        const amount = Math.min(creep.store[RESOURCE_ENERGY], target.store.getFreeCapacity(RESOURCE_ENERGY));
+        const result = creep.transfer(target, RESOURCE_ENERGY);
+        if (result === OK) {
+            remoteManager.recordDelivery(creep.memory.remoteOp, amount);
+        } else if (result === ERR_NOT_IN_RANGE) {
+            trafficManager.moveTo(creep, target, { reusePath: 20, visualizePathStyle: {stroke: '#ffffff'} });
+        }
+    },
+    
+    /**
+     * Build or repair the road under the hauler while it travels
+     * @param {Creep} creep - The hauler
+     */
+    maintainRoad: function(creep) {
+        if (creep.getActiveBodyparts(WORK) === 0) return;
+        
+        const site = creep.pos.lookFor(LOOK_CONSTRUCTION_SITES)[0];
+        if (site && site.structureType === STRUCTURE_ROAD) {
+            creep.build(site);
+            return;
+        }
+        
+        const road = creep.pos.lookFor(LOOK_STRUCTURES).find(s => s.structureType === STRUCTURE_ROAD);
+        if (road && road.hits < road.hitsMax * 0.6) {
+            creep.repair(road);
+        }
+    },
+    
+    /**
+     * Get a position to wait at in the remote room
+     * @param {Creep} creep - The hauler
+     * @param {Object} op - Operation memory
+     * @returns {RoomPosition} - Container position of a source, or the source itself if not planned yet
+     */
+    getWaitPos: function(creep, op) {
+        const sources = Memory.remoteOps.rooms[creep.memory.targetRoom].sourcePositions;
+        
+        // Spread haulers over the sources by name
+        const index = creep.name.split('').reduce((a, b) => a + b.charCodeAt(0), 0) % sources.length;
+        const pos = op.containers[sources[index].id] || sources[index];
+        
+        return new RoomPosition(pos.x, pos.y, creep.memory.targetRoom);
+    }
+};
+
+module.exports = roleRemoteHauler;
@@ -0,0 +1,107 @@
+/**
+ * Remote Miner Role - Static mining in a remote room
+ * Builds and maintains its own container, then mines onto it
+ */
+const remoteManager = require('remoteManager');
+const trafficManager = require('trafficManager');
+const travel = require('travel');
+
+const roleRemoteMiner = {
+    /**
+     * Run the remote miner role
+     * @param {Creep} creep - The creep to run the role for
+     */
+    run: function(creep) {
+        const spawnManager = require('spawnManager');
+        const op = remoteManager.getOperation(creep.memory.remoteOp);
+        
+        // Operation was stopped - nothing left to do
+        if (!op) {
+            remoteManager.recycleCreep(creep);
+            return;
+        }
+        
+        // Operation suspended - wait at home until it resumes
+        if (op.status !== 'active') {
+            remoteManager.retreatCreep(creep);
+            return;
+        }
+        
+        const sourcePos = this.getSourcePos(creep);
+        if (!sourcePos) return;
+        
+        if (creep.room.name !== creep.memory.targetRoom) {
+            travel.travelTo(creep, sourcePos, { range: 1, reusePath: 50 });
+            return;
+        }
+        
+        // React to hostiles before the next remoteManager scan
+        if (Game.time % 5 === 0 && remoteManager.checkHostiles(creep.room)) {
+            remoteManager.retreatCreep(creep);
+            return;
+        }
+        
+        const source = Game.getObjectById(creep.memory.sourceId);
+        if (!source) return;
+        
+        // Park on the planned container tile, or anywhere next to the source
+        const containerPos = op.containers[creep.memory.sourceId];
+        const workPos = containerPos ? new RoomPosition(containerPos.x, containerPos.y, creep.room.name) : null;
+        
+        if (workPos ? !creep.pos.isEqualTo(workPos) : !creep.pos.isNearTo(source)) {
+            trafficManager.moveTo(creep, workPos || source, {
+                range: workPos ? 0 : 1,
+                reusePath: 20,
+                visualizePathStyle: {stroke: '#ffaa00'}
+            });
+            return;
+        }
+        
+        // Spend carried energy on the container before it overflows onto the ground
+        if (creep.store.getFreeCapacity(RESOURCE_ENERGY) <= creep.getActiveBodyparts(WORK) * HARVEST_POWER) {
+            if (this.maintainContainer(creep)) return;
+        }
+        
+        if (creep.harvest(source) === OK) {
+            spawnManager.recordArrival(creep);
+        }
+        
+        trafficManager.park(creep, workPos || source, workPos ? 0 : 1);
+    },
+    
+    /**
+     * Build or repair the container under the miner
+     * @param {Creep} creep - The miner
+     * @returns {boolean} - True if the miner used its action on the container
+     */
+    maintainContainer: function(creep) {
+        const site = creep.pos.lookFor(LOOK_CONSTRUCTION_SITES)
+            .find(s => s.structureType === STRUCTURE_CONTAINER);
+        if (site) {
+            return creep.build(site) === OK;
+        }
+        
+        const container = creep.pos.lookFor(LOOK_STRUCTURES)
+            .find(s => s.structureType === STRUCTURE_CONTAINER);
+        if (container && container.hits < container.hitsMax * 0.8) {
+            return creep.repair(container) === OK;
+        }
+        
+        return false;
+    },
+    
+    /**
+     * Get the position of the assigned source
+     * @param {Creep} creep - The miner
+     * @returns {RoomPosition|null} - Source position or null if unknown
+     */
+    getSourcePos: function(creep) {
+        const roomData = Memory.remoteOps.rooms[creep.memory.targetRoom];
+        const source = roomData && roomData.sourcePositions &&
+            roomData.sourcePositions.find(s => s.id === creep.memory.sourceId);
+        
+        return source ? new RoomPosition(source.x, source.y, creep.memory.targetRoom) : null;
+    }
+};
+
+module.exports = roleRemoteMiner;
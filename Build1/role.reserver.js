@@ -0,0 +1,51 @@
+/**
+ * Reserver Role - Keeps remote mining rooms reserved
+ * Reserved rooms regenerate 3000 energy per source instead of 1500
+ */
+const remoteManager = require('remoteManager');
+const trafficManager = require('trafficManager');
+const travel = require('travel');
+
+const roleReserver = {
+    /**
+     * Run the reserver role
+     * @param {Creep} creep - The creep to run the role for
+     */
+    run: function(creep) {
+        const spawnManager = require('spawnManager');
+        const op = remoteManager.getOperation(creep.memory.remoteOp);
+        
+        if (!op) {
+            remoteManager.recycleCreep(creep);
+            return;
+        }
+        
+        if (op.status !== 'active') {
+            remoteManager.retreatCreep(creep);
+            return;
+        }
+        
+        if (creep.room.name !== creep.memory.targetRoom) {
+            travel.travelTo(creep, new RoomPosition(25, 25, creep.memory.targetRoom), { range: 20, reusePath: 50 });
+            return;
+        }
+        
+        const controller = creep.room.controller;
+        if (!controller) return;
+        
+        let result = creep.reserveController(controller);
+        
+        // Someone else's reservation has to be worn down first
+        if (result === ERR_INVALID_TARGET) {
+            result = creep.attackController(controller);
+        }
+        
+        if (result === ERR_NOT_IN_RANGE) {
+            trafficManager.moveTo(creep, controller, { range: 1, reusePath: 20 });
+        } else if (result === OK) {
+            spawnManager.recordArrival(creep);
+        }
+    }
+};
+
+module.exports = roleReserver;
@@ -0,0 +1,75 @@
+/**
+ * Scout Role - Visits rooms around its base to keep Memory.remoteOps intel fresh
+ * MOVE-only body, spawned by remoteManager.requestScout
+ */
+const remoteManager = require('remoteManager');
+const travel = require('travel');
+
+const roleScout = {
+    /**
+     * Run the scout role
+     * @param {Creep} creep - The creep to run the role for
+     */
+    run: function(creep) {
+        // Record each room we pass through once on entry
+        if (creep.memory.lastRoom !== creep.room.name) {
+            remoteManager.recordRoomIntel(creep.room);
+            creep.memory.lastRoom = creep.room.name;
+        }
+        
+        const homeRoom = creep.memory.homeRoom;
+        let target = creep.memory.targetRoom;
+        
+        // Target reached or taking too long - pick the next one
+        if (target && (creep.room.name === target ||
+            Game.time - creep.memory.targetSince > remoteManager.SCOUT_TIMEOUT)) {
+            if (creep.room.name !== target) {
+                this.markUnreachable(target);
+            }
+            target = null;
+        }
+        
+        if (!target) {
+            target = remoteManager.getNextScoutTarget(homeRoom, creep.room.name);
+            creep.memory.targetRoom = target;
+            creep.memory.targetSince = Game.time;
+            
+            if (!Memory.remoteOps.scouts) Memory.remoteOps.scouts = {};
+            Memory.remoteOps.scouts[homeRoom] = { creep: creep.name, target: target, assigned: Game.time };
+        }
+        
+        if (!target) {
+            // All intel is fresh - wait at home for it to go stale
+            const room = Game.rooms[homeRoom];
+            if (room && room.controller && creep.room.name !== homeRoom) {
+                travel.travelTo(creep, room.controller, { range: 5, reusePath: 50 });
+            }
+            return;
+        }
+        
+        const result = travel.travelTo(creep, new RoomPosition(25, 25, target), {
+            range: 20,
+            reusePath: 50,
+            visualizePathStyle: {stroke: '#00ffff'}
+        });
+        
+        if (result === ERR_NO_PATH) {
+            this.markUnreachable(target);
+            delete creep.memory.targetRoom;
+        }
+    },
+    
+    /**
+     * Stop a scout from retrying a room it can't reach until the intel goes stale again
+     * @param {string} roomName - The room that couldn't be reached
+     */
+    markUnreachable: function(roomName) {
+        const roomData = Memory.remoteOps.rooms[roomName];
+        if (!roomData) return;
+        
+        roomData.lastScout = Game.time;
+        roomData.unreachable = true;
+    }
+};
+
+module.exports = roleScout;
@@ -2,6 +2,8 @@
  * Upgrader Role - Controller upgrading
  * CPU optimized for maximum efficiency
  */
+const trafficManager = require('trafficManager');
+
 const roleUpgrader = {
     /**
      * Run the upgrader role
@@ -41,24 +43,30 @@ const roleUpgrader = {
             if (upgradeResult === ERR_NOT_IN_RANGE) {
                 // Use cached position if available
                 if (creep.memory.controllerPos) {
-                    creep.moveTo(
+                    trafficManager.moveTo(
+                        creep,
                         new RoomPosition(
                             creep.memory.controllerPos.x,
                             creep.memory.controllerPos.y,
                             creep.memory.controllerPos.roomName
                         ),
                         { 
+                            range: 3,
                             reusePath: 20, // Reuse path for longer since controller position is static
                             visualizePathStyle: {stroke: '#ffffff'}
                         }
                     );
                 } else {
-                    creep.moveTo(creep.room.controller, { 
+                    trafficManager.moveTo(creep, creep.room.controller, { 
+                        range: 3,
                         reusePath: 20,
                         visualizePathStyle: {stroke: '#ffffff'}
                     });
                 }
-            } else if (upgradeResult !== OK) {
+            } else if (upgradeResult === OK) {
+                // Haulers can shove us along the controller's edge, but never out of range
+                trafficManager.park(creep, creep.room.controller, 3);
+            } else {
                 console.log(`Upgrader ${creep.name} error: ${upgradeResult} when upgrading controller`);
             }
         } else {
@@ -87,6 +95,16 @@ const roleUpgrader = {
         }
         
         // Find new energy source if needed
+        if (!source) {
+            // Controller link is kept full by linkManager
+            const linkManager = require('linkManager');
+            const controllerLink = linkManager.getLink(creep.room, 'controller');
+            if (controllerLink && controllerLink.store[RESOURCE_ENERGY] > 0) {
+                source = controllerLink;
+                creep.memory.energySourceId = controllerLink.id;
+            }
+        }
+        
         if (!source) {
             // First check for controller container from room manager
             const controllerContainer = roomManager.getRoomData(creep.room.name, 'controllerContainer');
@@ -221,13 +239,15 @@ const roleUpgrader = {
             
             if (actionResult === ERR_NOT_IN_RANGE) {
                 // Use cached position for movement
-                creep.moveTo(
+                trafficManager.moveTo(
+                    creep,
                     new RoomPosition(
                         creep.memory.sourcePos.x,
                         creep.memory.sourcePos.y,
                         creep.memory.sourcePos.roomName
                     ),
                     { 
+                        range: 1,
                         reusePath: 15,
                         visualizePathStyle: {stroke: '#ffaa00'}
                     }
@@ -238,13 +258,14 @@ const roleUpgrader = {
         } else {
             // If no energy source found, move to controller area to wait
             if (creep.memory.controllerPos) {
-                creep.moveTo(
+                trafficManager.moveTo(
+                    creep,
                     new RoomPosition(
                         creep.memory.controllerPos.x + 2,
                         creep.memory.controllerPos.y + 2,
                         creep.memory.controllerPos.roomName
                     ),
-                    { reusePath: 20 }
+                    { range: 1, reusePath: 20 }
                 );
             }
         }
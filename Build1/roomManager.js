@@ -65,7 +65,7 @@ const roomManager = {
             
             // Get creep counts for this room
             this.cache[room.name].creepCounts = this.cache.creepCounts[room.name] || {
-                harvester: 0, hauler: 0, upgrader: 0, builder: 0, total: 0
+                harvester: 0, miner: 0, hauler: 0, upgrader: 0, builder: 0, total: 0
             };
             
             // Calculate energy needs - always needed for proper functioning
@@ -82,7 +82,7 @@ const roomManager = {
                 this.cache[room.name] = {
                     energyAvailable: room.energyAvailable,
                     energyCapacityAvailable: room.energyCapacityAvailable,
-                    creepCounts: { harvester: 0, hauler: 0, upgrader: 0, builder: 0, total: 0 }
+                    creepCounts: { harvester: 0, miner: 0, hauler: 0, upgrader: 0, builder: 0, total: 0 }
                 };
             }
         }
@@ -172,18 +172,14 @@ const roomManager = {
         this.cache[room.name].activeSources = activeSources;
         this.cache[room.name].activeSourcesTime = Game.time;
         
-        // Initialize energy request registry if it doesn't exist
-        if (!room.memory.energyRequests) {
-            room.memory.energyRequests = {};
-        }
-        
-        // Clean up stale energy requests - only do this every 10 ticks to save CPU
+        // Clean up stale logistics posts - only do this every 10 ticks to save CPU
         if (Game.time % 10 === 0) {
-            this.cleanupEnergyRequests(room);
+            require('logistics').cleanup(room);
         }
         
         // Process sources that don't have data yet
-        const unprocessedSources = sources.filter(source => !room.memory.sources[source.id]);
+        const unprocessedSources = sources.filter(source => 
+            !room.memory.sources[source.id] || !room.memory.sources[source.id].pos);
         if (unprocessedSources.length > 0) {
             const terrain = room.getTerrain();
             
@@ -204,14 +200,19 @@ const roomManager = {
                     }
                 }
                 
-                room.memory.sources[source.id] = {
+                // Keep anything other managers already stored for this source
+                const existing = room.memory.sources[source.id] || {};
+                room.memory.sources[source.id] = Object.assign(existing, {
                     pos: {x: source.pos.x, y: source.pos.y},
                     availableSpots: availableSpots,
-                    assignedHarvesters: 0
-                };
+                    assignedHarvesters: existing.assignedHarvesters || 0
+                });
             }
         }
         
+        // Measure haul distances for sources that don't have one yet
+        this.measureSourceDistances(room);
+        
         // Batch find operations to reduce CPU usage - use cached find
         const structures = utils.cachedFind(room, FIND_STRUCTURES, {}, 20);
         
@@ -284,6 +285,37 @@ const roomManager = {
         room.memory.lastUpdate = Game.time;
     },
     
+    /**
+     * Measure the path length from each source to where haulers deliver
+     * Re-measured once storage is built since deliveries move there.
+     * @param {Room} room - The room to measure
+     */
+    measureSourceDistances: function(room) {
+        const dropOff = room.storage || room.find(FIND_MY_SPAWNS)[0];
+        if (!dropOff) return;
+        
+        const dropOffType = dropOff.structureType;
+        
+        for (const sourceId in room.memory.sources) {
+            const sourceMemory = room.memory.sources[sourceId];
+            if (!sourceMemory.pos) continue;
+            if (sourceMemory.pathLength !== undefined && sourceMemory.pathFrom === dropOffType) continue;
+            
+            // Haulers stand on or next to the container, so measure to it if planned
+            const target = sourceMemory.containerPos || sourceMemory.pos;
+            const result = PathFinder.search(
+                dropOff.pos,
+                { pos: new RoomPosition(target.x, target.y, room.name), range: 1 },
+                { plainCost: 2, swampCost: 10, maxOps: 4000 }
+            );
+            
+            if (!result.incomplete) {
+                sourceMemory.pathLength = result.path.length;
+                sourceMemory.pathFrom = dropOffType;
+            }
+        }
+    },
+    
     /**
      * Count creeps by role for all rooms
      * @returns {Object} - Count of creeps by role per room
@@ -302,6 +334,7 @@ const roomManager = {
             if (Game.rooms[roomName].controller && Game.rooms[roomName].controller.my) {
                 counts[roomName] = {
                     harvester: 0,
+                    miner: 0,
                     hauler: 0,
                     upgrader: 0,
                     builder: 0,
@@ -317,8 +350,8 @@ const roomManager = {
             
             if (counts[homeRoom]) {
                 const role = creep.memory.role;
-                if (counts[homeRoom][role] !== undefined) {
-                    counts[homeRoom][role]++;
+                if (role) {
+                    counts[homeRoom][role] = (counts[homeRoom][role] || 0) + 1;
                 }
                 counts[homeRoom].total++;
             }
@@ -408,70 +441,28 @@ const roomManager = {
     },
     
     /**
-     * Release a source assignment when a harvester dies
+     * Claim a specific source for a harvester that was spawned with one assigned
      * @param {string} sourceId - ID of the source
      * @param {string} roomName - Name of the room
      */
-    releaseSource: function(sourceId, roomName) {
+    claimSource: function(sourceId, roomName) {
         const room = Game.rooms[roomName];
         if (room && room.memory.sources && room.memory.sources[sourceId]) {
             room.memory.sources[sourceId].assignedHarvesters = 
-                Math.max(0, room.memory.sources[sourceId].assignedHarvesters - 1);
+                (room.memory.sources[sourceId].assignedHarvesters || 0) + 1;
         }
     },
     
     /**
-     * Clean up stale energy requests
-     * @param {Room} room - The room to clean up requests for
+     * Release a source assignment when a harvester dies
+     * @param {string} sourceId - ID of the source
+     * @param {string} roomName - Name of the room
      */
-    cleanupEnergyRequests: function(room) {
-        if (!room.memory.energyRequests) return;
-        
-        // Only process a subset of requests each tick to distribute CPU load
-        const currentTime = Game.time;
-        const requestIds = Object.keys(room.memory.energyRequests);
-        
-        // Process at most 10 requests per call
-        const startIdx = currentTime % Math.max(1, Math.ceil(requestIds.length / 10));
-        const endIdx = Math.min(startIdx + 10, requestIds.length);
-        const requestsToProcess = requestIds.slice(startIdx, endIdx);
-        
-        const requestsToDelete = [];
-        
-        for (const requestId of requestsToProcess) {
-            const request = room.memory.energyRequests[requestId];
-            
-            // Check if the request is stale (older than 50 ticks)
-            if (request.timestamp && currentTime - request.timestamp > 50) {
-                requestsToDelete.push(requestId);
-                continue;
-            }
-            
-            // Check if the target creep still exists
-            const targetCreep = Game.getObjectById(requestId);
-            if (!targetCreep) {
-                requestsToDelete.push(requestId);
-                continue;
-            }
-            
-            // Check if the target creep still needs energy
-            if (targetCreep.store.getFreeCapacity(RESOURCE_ENERGY) === 0) {
-                requestsToDelete.push(requestId);
-                continue;
-            }
-            
-            // Check if the assigned hauler still exists and is still assigned
-            if (request.assignedHaulerId) {
-                const hauler = Game.getObjectById(request.assignedHaulerId);
-                if (!hauler || hauler.memory.assignedRequestId !== requestId) {
-                    delete request.assignedHaulerId;
-                }
-            }
-        }
-        
-        // Delete all identified stale requests
-        for (const requestId of requestsToDelete) {
-            delete room.memory.energyRequests[requestId];
+    releaseSource: function(sourceId, roomName) {
+        const room = Game.rooms[roomName];
+        if (room && room.memory.sources && room.memory.sources[sourceId]) {
+            room.memory.sources[sourceId].assignedHarvesters = 
+                Math.max(0, room.memory.sources[sourceId].assignedHarvesters - 1);
         }
     },
     
@@ -3,11 +3,52 @@
  * CPU optimized for maximum efficiency
  */
 const roomManager = require('roomManager');
+const bodyBuilder = require('bodyBuilder');
 
 const spawnManager = {
     // Cache for body part calculations
     bodyCache: {},
     
+    // Queue priorities - lower values are dispatched first
+    PRIORITY: {
+        EMERGENCY: 0,
+        DEFENSE: 10,
+        CORE: 20,
+        ECONOMY: 40,
+        REMOTE: 60,
+        EXPANSION: 70,
+        LOW: 90
+    },
+    
+    // Default priority for roles requested by getNeededRole
+    ROLE_PRIORITY: {
+        harvester: 20,
+        hauler: 25,
+        upgrader: 45,
+        builder: 40
+    },
+    
+    // Roles replaced before they die, with the memory keys the replacement inherits
+    PRESPAWN_ROLES: {
+        harvester: ['sourceId', 'sourcePos'],
+        miner: ['sourceId'],
+        remoteMiner: ['sourceId', 'targetRoom', 'remoteOp'],
+        remoteHauler: ['targetRoom', 'remoteOp'],
+        reserver: ['targetRoom', 'remoteOp']
+    },
+    
+    // Roles that work outside their home room and don't count against its creep cap
+    AWAY_ROLES: ['remoteMiner', 'remoteHauler', 'reserver', 'scout', 'claimer', 'pioneer'],
+    
+    // Extra ticks so the replacement arrives slightly before the old creep dies
+    PRESPAWN_MARGIN: 10,
+    
+    // Static miners replace bootstrap harvesters from this RCL
+    MINER_MIN_RCL: 3,
+    
+    // Requests wait this long for a full-size body before taking what energy there is
+    MAX_ENERGY_WAIT: 100,
+    
     /**
      * Run the spawn logic for a room
      * @param {Room} room - The room to manage spawning for
@@ -16,9 +57,6 @@ const spawnManager = {
         const utils = require('utils');
         
         try {
-            // Skip if no energy available for even the smallest creep
-            if (room.energyAvailable < 250) return;
-            
             // Find all spawns in the room - use cached data if available
             const spawns = room.find(FIND_MY_SPAWNS);
             if (spawns.length === 0) return;
@@ -26,55 +64,75 @@ const spawnManager = {
             // Get creep counts from room manager cache
             const counts = roomManager.getRoomData(room.name, 'creepCounts') || {
                 harvester: 0,
+                miner: 0,
                 hauler: 0,
                 upgrader: 0,
                 builder: 0,
                 total: 0
             };
             
+            // Harvesters and miners both bring energy into the room
+            const producers = counts.harvester + (counts.miner || 0);
+            
             // Colony collapse prevention - if critical roles are missing, force spawn
-            const criticalCollapse = counts.harvester === 0 || 
-                                    (counts.harvester > 0 && counts.hauler === 0);
+            const criticalCollapse = producers === 0 || 
+                                    (producers > 0 && counts.hauler === 0);
             
             // In emergency mode, only spawn critical creeps unless we're in collapse prevention
             if (global.emergencyMode && !criticalCollapse) {
-                if (global.emergencyMode.level === 'critical') return;
-                
-                // In high emergency, only spawn if we have very few creeps
-                if (counts.total > 5) return;
+                // Defenders are exactly what an emergency needs
+                if (global.emergencyMode.level === 'critical' || counts.total > 5) {
+                    this.processQueue(room, spawns, this.PRIORITY.DEFENSE);
+                    return;
+                }
             }
             
-            // Use the first available spawn
-            for (const spawn of spawns) {
-                if (spawn.spawning) continue;
-                
+            if (producers === 0) {
                 // Emergency recovery - if no harvesters, spawn one immediately
-                if (counts.harvester === 0) {
-                    this.spawnCreep(spawn, 'harvester', room.energyAvailable);
-                    return;
-                }
-                
+                this.requestCreep(room.name, {
+                    key: 'emergency_harvester',
+                    role: 'harvester',
+                    priority: this.PRIORITY.EMERGENCY,
+                    emergency: true
+                });
+            } else if (counts.hauler === 0) {
                 // Emergency recovery - if no haulers but we have harvesters, spawn hauler
-                if (counts.harvester > 0 && counts.hauler === 0) {
-                    this.spawnCreep(spawn, 'hauler', room.energyAvailable);
-                    return;
+                this.requestCreep(room.name, {
+                    key: 'emergency_hauler',
+                    role: 'hauler',
+                    priority: this.PRIORITY.EMERGENCY,
+                    emergency: true
+                });
+            } else if (utils.shouldExecute('medium')) {
+                // Emergency requests are no longer needed once the roles are back
+                this.cancelRequest(room.name, 'emergency_harvester');
+                this.cancelRequest(room.name, 'emergency_hauler');
+                
+                // Keep one static miner on every source once the room can afford them
+                if (this.usesMiners(room)) {
+                    this.requestMiners(room);
                 }
                 
                 // Normal spawning - only if CPU conditions allow
-                if (utils.shouldExecute('medium')) {
-                    // Determine what role we need most
-                    const neededRole = this.getNeededRole(room, counts);
-                    if (neededRole) {
-                        // In emergency mode, spawn smaller creeps to save energy
-                        const energyToUse = global.emergencyMode ? 
-                            Math.min(room.energyAvailable, room.energyCapacityAvailable * 0.7) : 
-                            room.energyAvailable;
-                            
-                        // Spawn the appropriate creep
-                        this.spawnCreep(spawn, neededRole, energyToUse);
-                    }
+                // Count queued creeps so we don't request the same deficit twice
+                const neededRole = this.getNeededRole(room, this.getCountsWithQueue(room.name, counts));
+                if (neededRole) {
+                    this.requestCreep(room.name, {
+                        key: `auto_${neededRole}`,
+                        role: neededRole,
+                        priority: this.ROLE_PRIORITY[neededRole] !== undefined ? 
+                            this.ROLE_PRIORITY[neededRole] : this.PRIORITY.ECONOMY,
+                        // Re-evaluated regularly, so don't let stale deficits linger
+                        deadline: Game.time + 300
+                    });
                 }
             }
+            
+            // Queue replacements for creeps that are about to die
+            this.schedulePrespawns(room);
+            
+            // Dispatch queued requests to idle spawns
+            this.processQueue(room, spawns);
         } catch (error) {
             console.log(`Error in spawnManager.run for room ${room.name}: ${error}`);
             
@@ -88,6 +146,321 @@ const spawnManager = {
         }
     },
     
+    /**
+     * Get the spawn queue for a room, creating it if needed
+     * @param {string} roomName - Name of the room
+     * @returns {Array} - Queue entries stored in room memory
+     */
+    getQueue: function(roomName) {
+        if (!Memory.rooms) Memory.rooms = {};
+        if (!Memory.rooms[roomName]) Memory.rooms[roomName] = {};
+        if (!Array.isArray(Memory.rooms[roomName].spawnQueue)) {
+            Memory.rooms[roomName].spawnQueue = [];
+        }
+        
+        return Memory.rooms[roomName].spawnQueue;
+    },
+    
+    /**
+     * Add a creep request to a room's spawn queue
+     * Requests with the same key replace each other, so managers can
+     * re-submit the same request every run without flooding the queue.
+     * @param {string} roomName - Room that should spawn the creep
+     * @param {Object} request - Request details
+     * @param {string} request.role - Role of the creep
+     * @param {string} [request.key] - Unique key used for deduplication
+     * @param {string[]} [request.body] - Explicit body, calculated from the role if omitted
+     * @param {Object} [request.memory] - Extra memory for the creep
+     * @param {number} [request.priority] - Lower values spawn first
+     * @param {number} [request.deadline] - Game tick after which the request is dropped
+     * @param {boolean} [request.emergency] - Spawn with whatever energy is available
+     * @returns {string|null} - ID of the queue entry or null if invalid
+     */
+    requestCreep: function(roomName, request) {
+        if (!request || !request.role) {
+            console.log(`spawnManager.requestCreep: invalid request for room ${roomName}`);
+            return null;
+        }
+        
+        const queue = this.getQueue(roomName);
+        const id = request.key || `${request.role}_${Game.time}_${queue.length}`;
+        
+        const entry = {
+            id: id,
+            role: request.role,
+            body: request.body,
+            memory: request.memory || {},
+            priority: request.priority !== undefined ? request.priority : this.PRIORITY.ECONOMY,
+            deadline: request.deadline,
+            emergency: request.emergency || false,
+            created: Game.time
+        };
+        
+        const index = queue.findIndex(e => e.id === id);
+        if (index !== -1) {
+            // Keep the original creation time so updated requests don't lose their place
+            entry.created = queue[index].created;
+            queue[index] = entry;
+        } else {
+            queue.push(entry);
+        }
+        
+        return id;
+    },
+    
+    /**
+     * Check whether a request is still waiting in the queue
+     * @param {string} roomName - Name of the room
+     * @param {string} id - ID of the queue entry
+     * @returns {boolean} - True if the request is queued
+     */
+    hasRequest: function(roomName, id) {
+        return this.getQueue(roomName).some(e => e.id === id);
+    },
+    
+    /**
+     * Remove a request from the queue
+     * @param {string} roomName - Name of the room
+     * @param {string} id - ID of the queue entry
+     */
+    cancelRequest: function(roomName, id) {
+        const queue = this.getQueue(roomName);
+        const index = queue.findIndex(e => e.id === id);
+        if (index !== -1) queue.splice(index, 1);
+    },
+    
+    /**
+     * Add queued requests to the creep counts
+     * @param {string} roomName - Name of the room
+     * @param {Object} counts - Current creep counts by role
+     * @returns {Object} - New counts object including queued creeps
+     */
+    getCountsWithQueue: function(roomName, counts) {
+        const result = Object.assign({}, counts);
+        
+        for (const entry of this.getQueue(roomName)) {
+            result[entry.role] = (result[entry.role] || 0) + 1;
+            result.total = (result.total || 0) + 1;
+        }
+        
+        return result;
+    },
+    
+    /**
+     * Queue replacements for dying creeps so they arrive as the old creep dies
+     * @param {Room} room - The room to schedule replacements for
+     */
+    schedulePrespawns: function(room) {
+        const remoteManager = require('remoteManager');
+        
+        for (const name in Game.creeps) {
+            const creep = Game.creeps[name];
+            if (creep.spawning || !creep.memory.prespawn) continue;
+            if (creep.memory.homeRoom !== room.name || creep.memory.replacedBy) continue;
+            
+            // Bootstrap harvesters are phased out once miners take over
+            if (creep.memory.role === 'harvester' && this.usesMiners(room)) continue;
+            
+            // Suspended or stopped remote operations don't get replacements
+            if (creep.memory.remoteOp && !remoteManager.isOperationActive(creep.memory.remoteOp)) continue;
+            
+            // Replacement needs to spawn and then walk to the work site
+            const spawnTime = creep.memory.spawnTime || creep.body.length * CREEP_SPAWN_TIME;
+            const travelTime = creep.memory.travelTime || 0;
+            if (creep.ticksToLive > spawnTime + travelTime + this.PRESPAWN_MARGIN) continue;
+            
+            const key = `replace_${creep.name}`;
+            if (this.hasRequest(room.name, key)) continue;
+            
+            // Copy the work assignment so the replacement goes straight to the same site
+            const memory = { replacing: creep.name, prespawn: true };
+            const inheritKeys = this.PRESPAWN_ROLES[creep.memory.role] || [];
+            for (const memKey of inheritKeys) {
+                if (creep.memory[memKey] !== undefined) memory[memKey] = creep.memory[memKey];
+            }
+            
+            this.requestCreep(room.name, {
+                key: key,
+                role: creep.memory.role,
+                body: creep.memory.role === 'miner' ? this.getLinkedMinerBody(room, creep.memory.sourceId) : undefined,
+                memory: memory,
+                priority: creep.memory.remoteOp ? this.PRIORITY.REMOTE : this.PRIORITY.CORE,
+                deadline: Game.time + creep.ticksToLive
+            });
+        }
+    },
+    
+    /**
+     * Check whether a room has moved from bootstrap harvesters to static miners
+     * @param {Room} room - The room to check
+     * @returns {boolean} - True if the room should use miners
+     */
+    usesMiners: function(room) {
+        return room.controller.level >= this.MINER_MIN_RCL;
+    },
+    
+    /**
+     * Request a static miner for every source that doesn't have one
+     * @param {Room} room - The room to request miners for
+     */
+    requestMiners: function(room) {
+        // Find sources that already have a miner in one pass
+        const minedSources = {};
+        for (const name in Game.creeps) {
+            const creep = Game.creeps[name];
+            if (creep.memory.role === 'miner' && creep.memory.homeRoom === room.name) {
+                minedSources[creep.memory.sourceId] = true;
+            }
+        }
+        
+        for (const sourceId in room.memory.sources) {
+            const sourceMemory = room.memory.sources[sourceId];
+            if (!sourceMemory.pos || sourceMemory.nearKeeper || minedSources[sourceId]) continue;
+            
+            this.requestCreep(room.name, {
+                key: `miner_${sourceId}`,
+                role: 'miner',
+                body: this.getLinkedMinerBody(room, sourceId),
+                memory: { sourceId: sourceId },
+                priority: this.PRIORITY.CORE
+            });
+        }
+    },
+    
+    /**
+     * Get a miner body with a CARRY part for sources that have a link
+     * @param {Room} room - The room the source is in
+     * @param {string} sourceId - ID of the source
+     * @returns {string[]|undefined} - Body parts, or undefined to size the miner normally
+     */
+    getLinkedMinerBody: function(room, sourceId) {
+        const linkManager = require('linkManager');
+        if (!linkManager.getSourceLink(room, sourceId)) return undefined;
+        
+        return this.createMinerBody(room.energyCapacityAvailable, true);
+    },
+    
+    /**
+     * Calculate how much hauling capacity the room's sources need
+     * Based on the measured path from each source to the drop-off point.
+     * @param {Room} room - The room to analyze
+     * @returns {Object} - Needed CARRY parts and CARRY parts per full-size hauler
+     */
+    getHaulerDemand: function(room) {
+        const linkManager = require('linkManager');
+        const haulerBody = this.calculateBody('hauler', room.energyCapacityAvailable);
+        const carryPerHauler = Math.max(1, haulerBody.filter(part => part === CARRY).length);
+        const energyPerTick = SOURCE_ENERGY_CAPACITY / ENERGY_REGEN_TIME;
+        
+        let carryNeeded = 0;
+        for (const sourceId in room.memory.sources) {
+            const sourceMemory = room.memory.sources[sourceId];
+            if (!sourceMemory.pos || sourceMemory.nearKeeper) continue;
+            
+            // Linked sources are emptied by their miner, not by haulers
+            if (linkManager.getSourceLink(room, sourceId)) continue;
+            
+            // Assume a medium distance until roomManager has measured the path
+            const pathLength = sourceMemory.pathLength !== undefined ? sourceMemory.pathLength : 20;
+            
+            // Round trip plus a tick each for pickup and transfer
+            const roundTrip = pathLength * 2 + 2;
+            carryNeeded += Math.ceil(energyPerTick * roundTrip / CARRY_CAPACITY);
+        }
+        
+        return {
+            carryNeeded: carryNeeded,
+            carryPerHauler: carryPerHauler
+        };
+    },
+    
+    /**
+     * Record how long a creep took to reach its work site after spawning
+     * Roles call this once the creep starts working so replacements can be timed.
+     * @param {Creep} creep - The creep that arrived
+     */
+    recordArrival: function(creep) {
+        if (creep.memory.travelTime !== undefined || !creep.memory.born) return;
+        
+        const spawnTime = creep.memory.spawnTime || 0;
+        creep.memory.travelTime = Math.max(0, Game.time - creep.memory.born - spawnTime);
+    },
+    
+    /**
+     * Dispatch queued requests across all idle spawns in the room
+     * @param {Room} room - The room to spawn in
+     * @param {StructureSpawn[]} spawns - Spawns in the room
+     * @param {number} [maxPriority] - Only dispatch requests at or above this priority
+     */
+    processQueue: function(room, spawns, maxPriority) {
+        const queue = this.getQueue(room.name);
+        
+        // Drop requests that have passed their deadline
+        for (let i = queue.length - 1; i >= 0; i--) {
+            if (queue[i].deadline && Game.time > queue[i].deadline) {
+                console.log(`Spawn request ${queue[i].id} in ${room.name} expired`);
+                queue.splice(i, 1);
+            }
+        }
+        
+        if (queue.length === 0) return;
+        
+        const idleSpawns = spawns.filter(spawn => !spawn.spawning);
+        if (idleSpawns.length === 0) return;
+        
+        // Highest priority first, oldest first within the same priority
+        queue.sort((a, b) => a.priority - b.priority || a.created - b.created);
+        
+        // Energy is only deducted at the end of the tick, so track it ourselves
+        let energyRemaining = room.energyAvailable;
+        const spawnedIds = [];
+        
+        // Creeps still spawning or just out when a nuke lands die with everything else
+        const defenseManager = require('defenseManager');
+        const nukeLanding = defenseManager.getNukeLanding(room);
+        
+        for (const entry of queue) {
+            if (idleSpawns.length === 0) break;
+            if (maxPriority !== undefined && entry.priority > maxPriority) break;
+            
+            // Size bodies for full extensions - emergencies and long waits take what is there
+            const recovery = entry.emergency || Game.time - entry.created > this.MAX_ENERGY_WAIT;
+            let energyToUse = bodyBuilder.getEnergyTarget(room, recovery, energyRemaining);
+            
+            // In emergency mode, spawn smaller creeps to save energy
+            if (global.emergencyMode && !entry.emergency) {
+                energyToUse = Math.min(energyToUse, room.energyCapacityAvailable * 0.7);
+            }
+            
+            const body = entry.body || this.calculateBody(entry.role, energyToUse);
+            if (!body || body.length === 0) continue;
+            
+            const cost = this.getBodyCost(body);
+            if (cost > energyRemaining) {
+                // Keep the energy for this creep rather than spending it further down the queue
+                if (cost <= room.energyCapacityAvailable) break;
+                continue;
+            }
+            
+            if (nukeLanding !== null && nukeLanding >= 0 &&
+                nukeLanding < body.length * CREEP_SPAWN_TIME + defenseManager.NUKE_SPAWN_MARGIN) {
+                continue;
+            }
+            
+            const spawn = idleSpawns[0];
+            if (this.spawnCreep(spawn, entry.role, energyToUse, { body: body, memory: entry.memory })) {
+                idleSpawns.shift();
+                energyRemaining -= cost;
+                spawnedIds.push(entry.id);
+            }
+        }
+        
+        // Remove dispatched requests
+        for (const id of spawnedIds) {
+            this.cancelRequest(room.name, id);
+        }
+    },
+    
     /**
      * Determine which role needs to be spawned next
      * @param {Room} room - The room to analyze
@@ -105,30 +478,35 @@ const spawnManager = {
         // Calculate RCL-based values
         const rcl = room.controller.level;
         
+        // Static miners take over harvesting and haulers are sized from measured distances
+        const useMiners = this.usesMiners(room);
+        const haulerDemand = useMiners ? this.getHaulerDemand(room) : null;
+        
         // Calculate work units needed
-        const harvestWorkNeeded = sourceCount * 5; // Each source can support ~5 WORK parts
+        const harvestWorkNeeded = useMiners ? 0 : sourceCount * 5; // Each source can support ~5 WORK parts
         const constructionWorkNeeded = Math.min(8, constructionSites * 1.5); // Increased priority for construction
         const repairWorkNeeded = Math.min(3, repairTargets); // Slightly increased repair priority
         const upgradeWorkNeeded = rcl <= 2 ? 2 : (rcl >= 4 ? 4 : 3); // Scale upgraders with RCL
         
         // Calculate carry units needed
-        const carryUnitsNeeded = sourceCount * 4; // Each source needs ~4 CARRY parts of transport
+        const carryUnitsNeeded = haulerDemand ? haulerDemand.carryNeeded : sourceCount * 4; // Each source needs ~4 CARRY parts of transport
+        const carryPerHauler = haulerDemand ? haulerDemand.carryPerHauler : 4;
         
         // Calculate actual work units available
         const harvesterWorkUnits = counts.harvester * 2; // Assume 2 WORK parts per harvester
         const builderWorkUnits = counts.builder * 1; // Assume 1 WORK part per builder
         const upgraderWorkUnits = counts.upgrader * 1; // Assume 1 WORK part per upgrader
-        const haulerCarryUnits = counts.hauler * 4; // Assume 4 CARRY parts per hauler
+        const haulerCarryUnits = counts.hauler * carryPerHauler;
         
         // Calculate minimum creeps needed based on work units
         const minHarvesters = Math.ceil(Math.min(harvestWorkNeeded, 10) / 2); // Each harvester has ~2 WORK parts
-        const minHaulers = Math.ceil(carryUnitsNeeded / 4); // Each hauler has ~4 CARRY parts
+        const minHaulers = Math.ceil(carryUnitsNeeded / carryPerHauler);
         const minUpgraders = 1; // Always need at least one upgrader
         const minBuilders = constructionSites > 0 ? 1 : 0; // Only need builders if there's construction
         
         // Calculate maximum creeps based on RCL and needs
         const maxHarvesters = Math.ceil(harvestWorkNeeded / 2);
-        const maxHaulers = Math.ceil(carryUnitsNeeded / 3);
+        const maxHaulers = Math.ceil(carryUnitsNeeded / Math.max(1, carryPerHauler - 1));
         const maxUpgraders = Math.ceil(upgradeWorkNeeded / 1);
         // Ensure we have enough builders when construction sites exist
         const maxBuilders = constructionSites > 0 ? 
@@ -138,8 +516,11 @@ const spawnManager = {
         // Total creep cap based on RCL
         const maxTotalCreeps = rcl <= 2 ? 10 : 15;
         
+        // Creeps working in other rooms are requested by their own managers
+        const awayCreeps = this.AWAY_ROLES.reduce((sum, role) => sum + (counts[role] || 0), 0);
+        
         // Check if we're at total creep capacity
-        if (counts.total >= maxTotalCreeps) {
+        if (counts.total - awayCreeps >= maxTotalCreeps) {
             return null;
         }
         
@@ -211,33 +592,68 @@ const spawnManager = {
      * @param {StructureSpawn} spawn - The spawn to use
      * @param {string} role - The role for the new creep
      * @param {number} energy - Available energy for spawning
+     * @param {Object} options - Optional explicit body and extra memory
      * @returns {boolean} - True if spawning was initiated
      */
-    spawnCreep: function(spawn, role, energy) {
+    spawnCreep: function(spawn, role, energy, options = {}) {
         // Calculate the best body based on available energy
-        const body = this.calculateBody(role, energy);
+        const body = options.body || this.calculateBody(role, energy);
         
         if (body.length === 0) return false;
         
-        // Create a unique name
-        const name = role + Game.time;
+        // Create a unique name - several spawns may spawn the same role this tick
+        let name = role + Game.time;
+        for (let i = 1; Game.creeps[name] || Memory.creeps[name]; i++) {
+            name = `${role}${Game.time}_${i}`;
+        }
+        
+        const memory = Object.assign({}, options.memory, {
+            role: role,
+            homeRoom: spawn.room.name
+        });
+        
+        // Track spawn timing for creeps that get replaced before they die
+        if (this.PRESPAWN_ROLES[role] || memory.prespawn) {
+            memory.prespawn = true;
+            memory.born = Game.time;
+            memory.spawnTime = body.length * CREEP_SPAWN_TIME;
+        }
+        
+        // New creeps step onto planned roads instead of blocking the core
+        const spawnOptions = { memory: memory };
+        const directions = require('layoutPlanner').getSpawnDirections(spawn.room, spawn);
+        if (directions) spawnOptions.directions = directions;
         
         // Spawn the creep with minimal memory
-        const result = spawn.spawnCreep(body, name, {
-            memory: {
-                role: role,
-                homeRoom: spawn.room.name
-            }
-        });
+        const result = spawn.spawnCreep(body, name, spawnOptions);
         
         if (result === OK) {
             console.log(`Spawning ${role}: ${body.length} parts`);
+            
+            // Link the old creep to its replacement
+            if (memory.replacing && Memory.creeps[memory.replacing]) {
+                Memory.creeps[memory.replacing].replacedBy = name;
+            }
+            
+            // Remote operations pay for their creeps out of the energy they deliver
+            if (memory.remoteOp) {
+                require('remoteManager').recordSpawnCost(memory.remoteOp, this.getBodyCost(body));
+            }
             return true;
         }
         
         return false;
     },
     
+    /**
+     * Calculate the energy cost of a body
+     * @param {string[]} body - Array of body parts
+     * @returns {number} - Total energy cost
+     */
+    getBodyCost: function(body) {
+        return bodyBuilder.getCost(body);
+    },
+    
     /**
      * Calculate the best possible body for a creep based on role and energy
      * @param {string} role - The creep's role
@@ -257,35 +673,29 @@ const spawnManager = {
         let body;
         
         switch (role) {
-            case 'harvester':
-                // Prioritize WORK parts for harvesters
-                body = this.createBalancedBody(energy, 2, 1, 1); // 2:1:1 ratio of WORK:CARRY:MOVE
+            case 'miner':
+                // Just enough WORK to drain the source, no CARRY
+                body = this.createMinerBody(energy);
                 break;
                 
-            case 'hauler':
-                // Prioritize CARRY and MOVE for haulers
-                body = this.createBalancedBody(energy, 0, 2, 2); // 0:2:2 ratio of WORK:CARRY:MOVE
-                // Add one WORK part for haulers to help with construction
-                if (energy >= 250 && body.length > 0) {
-                    body.unshift(WORK);
-                }
-                break;
-                
-            case 'upgrader':
-                // Balanced body for upgraders
-                body = this.createBalancedBody(energy, 1, 1, 1); // 1:1:1 ratio of WORK:CARRY:MOVE
+            case 'remoteMiner':
+                // Full miner plus a CARRY part to build and repair its container
+                body = this.createMinerBody(energy, true);
                 break;
                 
-            case 'builder':
-                // Slightly more WORK parts for builders to speed up construction
-                body = this.createBalancedBody(energy, 2, 2, 2); // 2:2:2 ratio of WORK:CARRY:MOVE
-                break;
+            default:
+                if (bodyBuilder.TEMPLATES[role]) {
+                    body = bodyBuilder.build(bodyBuilder.TEMPLATES[role], energy);
+                }
         }
         
         // Ensure we have at least one of each essential part
         if (!body || body.length === 0) {
             // Fallback to minimum viable creep
-            if (role === 'hauler') {
+            if (role === 'reserver' || role === 'claimer' || role === 'defender' || role === 'rangedDefender') {
+                // Without CLAIM or attack parts these roles are useless
+                body = [];
+            } else if (role === 'hauler') {
                 body = [CARRY, CARRY, MOVE];
             } else {
                 body = [WORK, CARRY, MOVE];
@@ -299,54 +709,59 @@ const spawnManager = {
     },
     
     /**
-     * Create a balanced body with the given ratio of parts
+     * Create a static miner body with exactly enough WORK for source regeneration
      * @param {number} energy - Available energy
-     * @param {number} workRatio - Ratio of WORK parts
-     * @param {number} carryRatio - Ratio of CARRY parts
-     * @param {number} moveRatio - Ratio of MOVE parts
+     * @param {boolean} withCarry - Add a CARRY part so the miner can fill a source link
      * @returns {string[]} - Array of body parts
      */
-    createBalancedBody: function(energy, workRatio, carryRatio, moveRatio) {
-        // Calculate costs
-        const workCost = 100;
-        const carryCost = 50;
-        const moveCost = 50;
-        
-        // Calculate cost per set of parts
-        const setCost = (workRatio * workCost) + (carryRatio * carryCost) + (moveRatio * moveCost);
-        if (setCost === 0) return [];
-        
-        // Calculate how many complete sets we can afford
-        const sets = Math.floor(energy / setCost);
-        if (sets === 0) return [];
-        
-        // Cap at 50 parts total (game limit)
-        const totalPartsPerSet = workRatio + carryRatio + moveRatio;
-        const maxSets = Math.floor(50 / totalPartsPerSet);
-        const actualSets = Math.min(sets, maxSets);
-        
-        // Create the body array
-        const body = [];
-        
-        // Add parts in the right order (most important first)
-        // WORK parts first for efficiency
-        for (let i = 0; i < actualSets * workRatio; i++) {
-            body.push(WORK);
+    createMinerBody: function(energy, withCarry) {
+        // 3000 energy every 300 ticks at 2 energy per WORK part = 5 WORK
+        let work = Math.ceil(SOURCE_ENERGY_CAPACITY / ENERGY_REGEN_TIME / HARVEST_POWER);
+        let move = Math.ceil(work / 2);
+        const carry = withCarry ? 1 : 0;
+        const carryCost = carry * BODYPART_COST[CARRY];
+        
+        // Miners only walk once, so give up speed before WORK parts
+        while (work > 0 && work * BODYPART_COST[WORK] + move * BODYPART_COST[MOVE] + carryCost > energy) {
+            if (move > 1) move--;
+            else work--;
         }
         
-        // CARRY parts next
-        for (let i = 0; i < actualSets * carryRatio; i++) {
-            body.push(CARRY);
-        }
+        if (work === 0) return [];
         
-        // MOVE parts last
-        for (let i = 0; i < actualSets * moveRatio; i++) {
-            body.push(MOVE);
-        }
+        const body = [];
+        for (let i = 0; i < work; i++) body.push(WORK);
+        for (let i = 0; i < carry; i++) body.push(CARRY);
+        for (let i = 0; i < move; i++) body.push(MOVE);
         
         return body;
     },
     
+    /**
+     * Create a combat body of attack parts paired with MOVE parts
+     * @param {number} energy - Available energy
+     * @param {string} attackPart - ATTACK or RANGED_ATTACK
+     * @param {number} parts - Most attack parts wanted
+     * @param {boolean} withHeal - Add a HEAL part so the creep can sustain itself
+     * @returns {string[]} - Array of body parts, empty if not even one pair is affordable
+     */
+    createCombatBody: function(energy, attackPart, parts, withHeal) {
+        // Attack parts soak damage first, MOVE and HEAL at the back keep the creep mobile
+        const template = {
+            required: withHeal ? [HEAL] : [],
+            segment: [attackPart],
+            maxSegments: MAX_CREEP_SIZE,
+            move: 'plain',
+            order: [TOUGH, attackPart, MOVE, HEAL]
+        };
+        
+        const body = bodyBuilder.build(template, energy, { maxSegments: parts });
+        if (body.length > 0 || !withHeal) return body;
+        
+        // Not enough energy for the HEAL part - attack parts alone still help
+        return this.createCombatBody(energy, attackPart, parts, false);
+    },
+    
     /**
      * Reset the body cache when global reset happens
      */
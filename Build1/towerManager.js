@@ -0,0 +1,197 @@
+/**
+ * Tower Manager - Attacks when damage beats enemy healing, heals our creeps and repairs when idle
+ * CPU optimized for maximum efficiency
+ */
+const utils = require('utils');
+
+const towerManager = {
+    // Towers only repair regular structures while holding this much energy
+    REPAIR_ENERGY: 500,
+    
+    // Roads and containers below this fraction of their hits count as decaying
+    REPAIR_RATIO: 0.6,
+    
+    /**
+     * Run all towers of a room for this tick
+     * @param {Room} room - The room to run towers in
+     * @param {Creep[]} hostiles - Hostile creeps in the room
+     */
+    run: function(room, hostiles) {
+        // Never shoot allies or neutrals, whoever handed us the list
+        const diplomacy = require('diplomacy');
+        hostiles = hostiles.filter(h => diplomacy.isHostileCreep(h));
+        
+        const towers = room.find(FIND_MY_STRUCTURES, {
+            filter: s => s.structureType === STRUCTURE_TOWER && s.store[RESOURCE_ENERGY] >= TOWER_ENERGY_COST
+        });
+        if (towers.length === 0) return;
+        
+        if (hostiles.length > 0) {
+            const target = this.chooseTarget(room, towers, hostiles);
+            if (target) {
+                for (const tower of towers) {
+                    tower.attack(target);
+                }
+                return;
+            }
+            
+            // Shooting a target that out-heals us only drains the towers
+            utils.logError(`tower_hold_${room.name}`,
+                `Towers in ${room.name} holding fire: ${hostiles.length} hostiles heal faster than we can damage them`, 50);
+        }
+        
+        if (this.healCreeps(room, towers)) return;
+        
+        this.repairStructures(room, towers);
+    },
+    
+    /**
+     * Pick the hostile that takes the most damage after healing
+     * @param {Room} room - The room being defended
+     * @param {StructureTower[]} towers - Towers with energy to fire
+     * @param {Creep[]} hostiles - Hostile creeps in the room
+     * @returns {Creep|null} - Target to focus, or null if no hostile can be out-damaged
+     */
+    chooseTarget: function(room, towers, hostiles) {
+        let best = null;
+        let bestNet = 0;
+        
+        for (const hostile of hostiles) {
+            const damage = towers.reduce((sum, tower) =>
+                sum + this.getPower(TOWER_POWER_ATTACK, tower.pos.getRangeTo(hostile)), 0);
+            
+            const net = this.getEffectiveDamage(hostile, damage) - this.getHealOn(hostile, hostiles);
+            
+            // Unarmed scouts and claimers still go down, but armed creeps first
+            const dangerous = hostile.getActiveBodyparts(ATTACK) + hostile.getActiveBodyparts(RANGED_ATTACK) +
+                hostile.getActiveBodyparts(WORK) + hostile.getActiveBodyparts(HEAL) > 0;
+            const score = dangerous ? net * 2 : net;
+            
+            if (net > 0 && score > bestNet) {
+                bestNet = score;
+                best = hostile;
+            }
+        }
+        
+        return best;
+    },
+    
+    /**
+     * Tower power at a range, including falloff
+     * @param {number} power - Power at optimal range (TOWER_POWER_ATTACK, _HEAL or _REPAIR)
+     * @param {number} range - Range from the tower
+     * @returns {number} - Power at that range
+     */
+    getPower: function(power, range) {
+        if (range <= TOWER_OPTIMAL_RANGE) return power;
+        
+        const falloffRange = Math.min(range, TOWER_FALLOFF_RANGE) - TOWER_OPTIMAL_RANGE;
+        return Math.floor(power * (1 - TOWER_FALLOFF * falloffRange / (TOWER_FALLOFF_RANGE - TOWER_OPTIMAL_RANGE)));
+    },
+    
+    /**
+     * Damage a creep actually takes after boosted TOUGH parts
+     * @param {Creep} creep - The creep being hit
+     * @param {number} damage - Raw damage
+     * @returns {number} - Hit points lost
+     */
+    getEffectiveDamage: function(creep, damage) {
+        let remaining = damage;
+        let lost = 0;
+        
+        // Damage eats body parts front to back, boosted TOUGH takes a fraction of it
+        for (const part of creep.body) {
+            if (remaining <= 0) break;
+            if (part.hits === 0) continue;
+            
+            const multiplier = part.type === TOUGH && part.boost ? BOOSTS[TOUGH][part.boost].damage : 1;
+            const absorbed = Math.min(part.hits, remaining * multiplier);
+            
+            lost += absorbed;
+            remaining -= absorbed / multiplier;
+        }
+        
+        return lost + Math.max(0, remaining);
+    },
+    
+    /**
+     * Healing a hostile can receive in one tick from itself and nearby hostiles
+     * @param {Creep} target - The hostile being shot
+     * @param {Creep[]} hostiles - All hostile creeps in the room
+     * @returns {number} - Hit points healed
+     */
+    getHealOn: function(target, hostiles) {
+        let heal = 0;
+        
+        for (const healer of hostiles) {
+            const range = healer.pos.getRangeTo(target);
+            if (range > 3) continue;
+            
+            const power = range <= 1 ? HEAL_POWER : RANGED_HEAL_POWER;
+            for (const part of healer.body) {
+                if (part.type !== HEAL || part.hits === 0) continue;
+                heal += power * (part.boost ? BOOSTS[HEAL][part.boost].heal : 1);
+            }
+        }
+        
+        return heal;
+    },
+    
+    /**
+     * Heal the most wounded of our creeps in the room
+     * @param {Room} room - The room to heal in
+     * @param {StructureTower[]} towers - Towers with energy
+     * @returns {boolean} - True if the towers were used for healing
+     */
+    healCreeps: function(room, towers) {
+        const wounded = room.find(FIND_MY_CREEPS, {
+            filter: c => c.hits < c.hitsMax
+        });
+        if (wounded.length === 0) return false;
+        
+        wounded.sort((a, b) => (a.hits / a.hitsMax) - (b.hits / b.hitsMax));
+        
+        // Each tower heals the worst creep that still needs it after the towers before it
+        const healed = {};
+        for (const tower of towers) {
+            const target = wounded.find(c => c.hits + (healed[c.id] || 0) < c.hitsMax);
+            if (!target) break;
+            
+            if (tower.heal(target) === OK) {
+                healed[target.id] = (healed[target.id] || 0) + this.getPower(TOWER_POWER_HEAL, tower.pos.getRangeTo(target));
+            }
+        }
+        
+        return true;
+    },
+    
+    /**
+     * Repair ramparts about to decay, then decaying roads and containers when towers can spare it
+     * @param {Room} room - The room to repair in
+     * @param {StructureTower[]} towers - Towers with energy
+     */
+    repairStructures: function(room, towers) {
+        const fortificationManager = require('fortificationManager');
+        let decaying = null;
+        
+        for (const tower of towers) {
+            let target = fortificationManager.getTowerTask(tower);
+            
+            if (!target && tower.store[RESOURCE_ENERGY] >= this.REPAIR_ENERGY) {
+                if (!decaying) {
+                    decaying = room.find(FIND_STRUCTURES, {
+                        filter: s => (s.structureType === STRUCTURE_ROAD || s.structureType === STRUCTURE_CONTAINER) &&
+                                     s.hits < s.hitsMax * this.REPAIR_RATIO
+                    });
+                }
+                target = tower.pos.findClosestByRange(decaying);
+            }
+            
+            if (target) {
+                tower.repair(target);
+            }
+        }
+    }
+};
+
+module.exports = towerManager;
@@ -0,0 +1,398 @@
+/**
+ * Traffic Manager - Collects intended moves and resolves them together at the end of the tick
+ * CPU optimized for maximum efficiency
+ */
+const pathing = require('pathing');
+
+const trafficManager = {
+    // Higher priority creeps win contested tiles and shove others aside
+    ROLE_PRIORITY: {
+        defender: 100,
+        rangedDefender: 100,
+        hauler: 60,
+        remoteHauler: 50,
+        harvester: 40,
+        miner: 40,
+        remoteMiner: 40,
+        builder: 30,
+        upgrader: 30,
+        pioneer: 30,
+        claimer: 20,
+        reserver: 20,
+        scout: 10
+    },
+    
+    DEFAULT_PRIORITY: 30,
+    
+    // Ticks without progress before the path is recomputed around creeps
+    STUCK_TICKS: 2,
+    
+    // Ticks a path is reused when the caller doesn't say
+    DEFAULT_REUSE: 20,
+    
+    // Paths kept in heap - they're cheap to recompute after a global reset
+    paths: {},
+    
+    // Moves and parked creeps registered this tick
+    intents: {},
+    parked: {},
+    tick: 0,
+    
+    /**
+     * Reset the per-tick registers on the first call of a tick
+     */
+    startTick: function() {
+        if (this.tick === Game.time) return;
+        
+        this.tick = Game.time;
+        this.intents = {};
+        this.parked = {};
+    },
+    
+    /**
+     * Register a move towards a target, resolved when run is called at the end of the tick
+     * Drop-in for creep.moveTo - accepts range, reusePath, priority and visualizePathStyle.
+     * @param {Creep} creep - The creep to move
+     * @param {RoomPosition|RoomObject} target - Where to go
+     * @param {Object} [opts] - Movement options
+     * @returns {number} - OK, ERR_TIRED, ERR_NO_PATH or ERR_BUSY
+     */
+    moveTo: function(creep, target, opts = {}) {
+        this.startTick();
+        
+        // Objects are reached when adjacent, positions when standing on them
+        const pos = target.pos || target;
+        const range = opts.range !== undefined ? opts.range : (target.pos ? 1 : 0);
+        
+        if (creep.spawning) return ERR_BUSY;
+        if (creep.pos.roomName === pos.roomName && creep.pos.getRangeTo(pos) <= range) {
+            delete this.paths[creep.name];
+            return OK;
+        }
+        if (creep.fatigue > 0) return ERR_TIRED;
+        
+        const state = this.getPath(creep, pos, range, opts);
+        if (!state) return ERR_NO_PATH;
+        
+        this.intents[creep.name] = {
+            creep: creep,
+            next: state.path[0],
+            priority: opts.priority !== undefined ? opts.priority :
+                (this.ROLE_PRIORITY[creep.memory.role] || this.DEFAULT_PRIORITY)
+        };
+        
+        if (opts.visualizePathStyle) {
+            const points = state.path.filter(step => step.roomName === creep.pos.roomName);
+            creep.room.visual.poly([creep.pos].concat(points), opts.visualizePathStyle);
+        }
+        
+        return OK;
+    },
+    
+    /**
+     * Register a single step to an adjacent tile, for callers that did their own pathing
+     * @param {Creep} creep - The creep to move
+     * @param {RoomPosition} pos - Adjacent tile
+     * @param {number} [priority] - Priority, defaults to the role priority
+     * @returns {number} - OK or ERR_TIRED
+     */
+    step: function(creep, pos, priority) {
+        this.startTick();
+        if (creep.fatigue > 0) return ERR_TIRED;
+        
+        delete this.paths[creep.name];
+        this.intents[creep.name] = {
+            creep: creep,
+            next: pos,
+            priority: priority !== undefined ? priority :
+                (this.ROLE_PRIORITY[creep.memory.role] || this.DEFAULT_PRIORITY)
+        };
+        return OK;
+    },
+    
+    /**
+     * Keep a creep on the path it already has - for creeps whose role is skipped this tick
+     * @param {Creep} creep - The creep
+     */
+    continuePath: function(creep) {
+        this.startTick();
+        
+        const state = this.paths[creep.name];
+        if (!state || creep.spawning || creep.fatigue > 0) return;
+        if (Game.time - state.time > this.DEFAULT_REUSE) return;
+        
+        const index = state.path.findIndex(step => step.isEqualTo(creep.pos));
+        if (index !== -1) state.path = state.path.slice(index + 1);
+        if (state.path.length === 0 || !this.isAdjacent(creep.pos, state.path[0])) return;
+        
+        state.lastPos = creep.pos;
+        this.intents[creep.name] = {
+            creep: creep,
+            next: state.path[0],
+            priority: this.ROLE_PRIORITY[creep.memory.role] || this.DEFAULT_PRIORITY
+        };
+    },
+    
+    /**
+     * Mark a creep as working in place - it can only be shoved to tiles still in range of its target
+     * @param {Creep} creep - The working creep
+     * @param {RoomPosition|RoomObject} target - What the creep works on
+     * @param {number} range - Range the creep has to stay within
+     */
+    park: function(creep, target, range) {
+        this.startTick();
+        
+        this.parked[creep.name] = { pos: target.pos || target, range: range };
+        delete this.paths[creep.name];
+    },
+    
+    /**
+     * Get the path state of a creep, recomputing it when it's stale, off-track or stuck
+     * @param {Creep} creep - The creep to move
+     * @param {RoomPosition} pos - Destination
+     * @param {number} range - Range to the destination
+     * @param {Object} opts - Movement options
+     * @returns {Object|null} - { dest, path, lastPos, stuck, time } or null if there is no path
+     */
+    getPath: function(creep, pos, range, opts) {
+        const dest = `${pos.x},${pos.y},${pos.roomName},${range}`;
+        let state = this.paths[creep.name];
+        
+        if (state && state.dest === dest) {
+            // Drop the steps already walked
+            const index = state.path.findIndex(step => step.isEqualTo(creep.pos));
+            if (index !== -1) state.path = state.path.slice(index + 1);
+            
+            if (creep.pos.isEqualTo(state.lastPos)) {
+                state.stuck++;
+            } else {
+                state.stuck = 0;
+            }
+            
+            const reuse = opts.reusePath !== undefined ? opts.reusePath : this.DEFAULT_REUSE;
+            const offTrack = state.path.length === 0 || !this.isAdjacent(creep.pos, state.path[0]);
+            if (offTrack || state.stuck >= this.STUCK_TICKS || Game.time - state.time > reuse) {
+                state = null;
+            }
+        } else {
+            state = null;
+        }
+        
+        if (!state) {
+            const previous = this.paths[creep.name];
+            const stuck = previous && previous.dest === dest && previous.stuck >= this.STUCK_TICKS;
+            
+            // Stuck creeps path around the creeps in their way
+            const path = pathing.findPath(creep.pos, pos, range, { creeps: stuck });
+            if (path.length === 0) {
+                delete this.paths[creep.name];
+                return null;
+            }
+            
+            state = { dest: dest, path: path, stuck: 0, time: Game.time };
+            this.paths[creep.name] = state;
+        }
+        
+        state.lastPos = creep.pos;
+        return state;
+    },
+    
+    /**
+     * Resolve all registered moves - call once after every creep has acted
+     * Moves are granted by priority. Blocking creeps that move away, swap or can be shoved aside make way.
+     */
+    run: function() {
+        this.startTick();
+        
+        // Paths of dead creeps
+        if (Game.time % 100 === 0) {
+            for (const name in this.paths) {
+                if (!Game.creeps[name]) delete this.paths[name];
+            }
+        }
+        
+        const names = Object.keys(this.intents);
+        if (names.length === 0) return;
+        
+        // Who stands where right now
+        this.occupants = {};
+        for (const name in Game.creeps) {
+            const creep = Game.creeps[name];
+            if (!creep.spawning) this.occupants[this.key(creep.pos)] = creep;
+        }
+        
+        this.claims = {};
+        this.results = {};
+        this.moves = [];
+        
+        names.sort((a, b) => this.intents[b].priority - this.intents[a].priority);
+        for (const name of names) {
+            this.resolve(name, {});
+        }
+        
+        for (const move of this.moves) {
+            move.creep.move(move.creep.pos.getDirectionTo(move.pos));
+        }
+    },
+    
+    /**
+     * Try to grant a creep its registered move, making way through the creep in the tile
+     * @param {string} name - Creep with an intent
+     * @param {Object} visiting - Creeps being resolved further up, to detect rotations
+     * @returns {boolean} - True if the creep moves this tick
+     */
+    resolve: function(name, visiting) {
+        if (this.results[name] !== undefined) return this.results[name];
+        
+        const intent = this.intents[name];
+        const creep = intent.creep;
+        const next = intent.next;
+        const nextKey = this.key(next);
+        
+        visiting[name] = true;
+        let moved = false;
+        
+        const claimer = this.claims[nextKey];
+        const occupant = this.occupants[nextKey];
+        
+        if (claimer && claimer !== name) {
+            moved = false;
+        } else if (!occupant || occupant.name === name) {
+            moved = true;
+        } else if (!occupant.my) {
+            moved = false;
+        } else if (this.intents[occupant.name]) {
+            const other = this.intents[occupant.name];
+            const ownClaim = this.claims[this.key(creep.pos)];
+            if (other.next.isEqualTo(creep.pos) && this.results[occupant.name] === undefined &&
+                (!ownClaim || ownClaim === occupant.name)) {
+                // Both want each other's tile
+                this.grant(occupant.name, other.next);
+                moved = true;
+            } else if (visiting[occupant.name]) {
+                // A ring of creeps moving into each other's tiles all move together
+                moved = true;
+            } else {
+                moved = this.resolve(occupant.name, visiting);
+            }
+        } else {
+            moved = this.makeWay(occupant, creep);
+        }
+        
+        delete visiting[name];
+        
+        if (moved) {
+            this.grant(name, next);
+        } else {
+            this.results[name] = false;
+            this.claims[this.key(creep.pos)] = name;
+        }
+        
+        return moved;
+    },
+    
+    /**
+     * Shove an idle creep aside, or swap it into the mover's tile
+     * @param {Creep} idle - Creep without an intent standing in the way
+     * @param {Creep} mover - Creep that wants the tile
+     * @returns {boolean} - True if the tile is freed
+     */
+    makeWay: function(idle, mover) {
+        if (this.results[idle.name] !== undefined || idle.fatigue > 0) return false;
+        
+        const parked = this.parked[idle.name];
+        const allowed = pos => !parked ||
+            (pos.roomName === parked.pos.roomName && pos.getRangeTo(parked.pos) <= parked.range);
+        
+        const tile = this.findShoveTile(idle, mover, allowed);
+        if (tile) {
+            this.grant(idle.name, tile);
+            return true;
+        }
+        
+        const moverKey = this.key(mover.pos);
+        if (allowed(mover.pos) && !(this.claims[moverKey] && this.claims[moverKey] !== mover.name)) {
+            this.grant(idle.name, mover.pos);
+            return true;
+        }
+        
+        return false;
+    },
+    
+    /**
+     * Find a free tile next to an idle creep that keeps it out of the mover's way
+     * @param {Creep} idle - Creep to shove
+     * @param {Creep} mover - Creep that wants the idle creep's tile
+     * @param {Function} allowed - Filter for tiles the idle creep may end up on
+     * @returns {RoomPosition|null} - Free tile, or null if there is none
+     */
+    findShoveTile: function(idle, mover, allowed) {
+        const terrain = idle.room.getTerrain();
+        let best = null;
+        let bestScore = Infinity;
+        
+        for (let dx = -1; dx <= 1; dx++) {
+            for (let dy = -1; dy <= 1; dy++) {
+                if (dx === 0 && dy === 0) continue;
+                
+                const x = idle.pos.x + dx;
+                const y = idle.pos.y + dy;
+                if (x < 1 || y < 1 || x > 48 || y > 48) continue;
+                if (terrain.get(x, y) === TERRAIN_MASK_WALL) continue;
+                
+                const pos = new RoomPosition(x, y, idle.pos.roomName);
+                const key = this.key(pos);
+                if (this.claims[key] || this.occupants[key] || pos.isEqualTo(mover.pos) || !allowed(pos)) continue;
+                
+                const blocked = pos.lookFor(LOOK_STRUCTURES).some(s =>
+                    OBSTACLE_OBJECT_TYPES.indexOf(s.structureType) !== -1 ||
+                    (s.structureType === STRUCTURE_RAMPART && !s.my && !s.isPublic));
+                if (blocked) continue;
+                
+                // Off-road tiles keep the roads clear for traffic
+                const onRoad = pos.lookFor(LOOK_STRUCTURES).some(s => s.structureType === STRUCTURE_ROAD);
+                const score = (onRoad ? 10 : 0) - pos.getRangeTo(mover.pos);
+                if (score < bestScore) {
+                    bestScore = score;
+                    best = pos;
+                }
+            }
+        }
+        
+        return best;
+    },
+    
+    /**
+     * Record a granted move
+     * @param {string} name - The moving creep
+     * @param {RoomPosition} pos - Its destination tile
+     */
+    grant: function(name, pos) {
+        const creep = Game.creeps[name];
+        this.results[name] = true;
+        this.claims[this.key(pos)] = name;
+        this.moves.push({ creep: creep, pos: pos });
+    },
+    
+    /**
+     * Check whether the next step can be taken from a position, including exits into the next room
+     * @param {RoomPosition} from - Current position
+     * @param {RoomPosition} to - Next step
+     * @returns {boolean} - True if the step is one move away
+     */
+    isAdjacent: function(from, to) {
+        if (from.roomName === to.roomName) return from.getRangeTo(to) === 1;
+        return from.x === 0 || from.x === 49 || from.y === 0 || from.y === 49;
+    },
+    
+    /**
+     * Position key shared by claims and occupants
+     * @param {RoomPosition} pos - The position
+     * @returns {string} - Key
+     */
+    key: function(pos) {
+        return `${pos.x},${pos.y},${pos.roomName}`;
+    }
+};
+
+module.exports = trafficManager;
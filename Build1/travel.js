@@ -0,0 +1,188 @@
+/**
+ * Travel - Moves creeps between rooms along a room-level route planned from scouting intel
+ * CPU optimized for maximum efficiency
+ */
+const trafficManager = require('trafficManager');
+
+const travel = {
+    // Route cost of each kind of room, Infinity keeps routes out entirely
+    ROUTE_COSTS: {
+        mine: 1,
+        ally: 1,
+        neutral: 2,
+        highway: 3,
+        reserved: 4,
+        sourceKeeper: 6,
+        hostile: 10,
+        towers: Infinity,
+        unsafe: Infinity
+    },
+    
+    // Routes are re-planned this often so new intel is picked up on long trips
+    ROUTE_TTL: 500,
+    
+    /**
+     * Move a creep to a target in any room
+     * Drop-in for trafficManager.moveTo - in the target room it moves straight there,
+     * elsewhere it heads for the exit to the next room on the route.
+     * @param {Creep} creep - The creep to move
+     * @param {RoomPosition|RoomObject} target - Where to go
+     * @param {Object} [opts] - Movement options passed to trafficManager.moveTo
+     * @returns {number} - OK, ERR_TIRED, ERR_NO_PATH or ERR_BUSY
+     */
+    travelTo: function(creep, target, opts = {}) {
+        const pos = target.pos || target;
+        
+        if (creep.room.name === pos.roomName) {
+            delete creep.memory.travel;
+            return trafficManager.moveTo(creep, target, opts);
+        }
+        
+        const next = this.getNextRoom(creep, pos.roomName);
+        if (!next) return ERR_NO_PATH;
+        
+        // Adjacent target rooms are reached by pathing straight there, which picks the best border tile
+        if (next === pos.roomName) {
+            return trafficManager.moveTo(creep, target, opts);
+        }
+        
+        const exit = this.getExitPos(creep, next);
+        if (!exit) {
+            delete creep.memory.travel;
+            return ERR_NO_PATH;
+        }
+        
+        return trafficManager.moveTo(creep, exit, Object.assign({}, opts, { range: 0 }));
+    },
+    
+    /**
+     * Get the next room on the creep's route, planning or re-planning it when needed
+     * Creeps pushed back across a border pick the route up again from wherever they are on it.
+     * @param {Creep} creep - The travelling creep
+     * @param {string} targetRoom - Destination room
+     * @returns {string|null} - Next room, or null if there is no route
+     */
+    getNextRoom: function(creep, targetRoom) {
+        let state = creep.memory.travel;
+        
+        let index = state && state.to === targetRoom ? state.rooms.indexOf(creep.room.name) : -1;
+        
+        // Off the route, stale, or the next room turned dangerous since planning
+        if (index === -1 || Game.time - state.time > this.ROUTE_TTL ||
+            (state.room !== creep.room.name && this.getRoomCost(state.rooms[index + 1], targetRoom) === Infinity)) {
+            const rooms = this.getRoute(creep.room.name, targetRoom);
+            if (!rooms) {
+                delete creep.memory.travel;
+                return null;
+            }
+            
+            state = { to: targetRoom, rooms: [creep.room.name].concat(rooms), time: Game.time };
+            creep.memory.travel = state;
+            index = 0;
+        }
+        
+        // A new room means a new exit to look for
+        if (state.room !== creep.room.name) {
+            state.room = creep.room.name;
+            delete state.exit;
+        }
+        
+        return state.rooms[index + 1];
+    },
+    
+    /**
+     * Plan a room-level route
+     * @param {string} fromRoom - Start room
+     * @param {string} toRoom - Destination room
+     * @returns {string[]|null} - Rooms after the start room, or null if there is no route
+     */
+    getRoute: function(fromRoom, toRoom) {
+        const route = Game.map.findRoute(fromRoom, toRoom, {
+            routeCallback: roomName => this.getRoomCost(roomName, toRoom)
+        });
+        if (route === ERR_NO_PATH || !Array.isArray(route)) return null;
+        
+        return route.map(step => step.room);
+    },
+    
+    /**
+     * Route cost of entering a room, from scouting intel where we have it and the room name otherwise
+     * @param {string} roomName - Room to enter
+     * @param {string} toRoom - Destination room, always allowed unless known to be unsafe
+     * @returns {number} - Cost, Infinity to avoid the room
+     */
+    getRoomCost: function(roomName, toRoom) {
+        const remoteManager = require('remoteManager');
+        const diplomacy = require('diplomacy');
+        
+        if (remoteManager.isUnsafe(roomName)) return this.ROUTE_COSTS.unsafe;
+        
+        const room = Game.rooms[roomName];
+        if (room && room.controller && room.controller.my) return this.ROUTE_COSTS.mine;
+        
+        const intel = Memory.remoteOps && Memory.remoteOps.rooms && Memory.remoteOps.rooms[roomName];
+        
+        let cost = this.ROUTE_COSTS[this.getRoomType(roomName)] || this.ROUTE_COSTS.neutral;
+        if (intel) {
+            if (intel.keeperLairs > 0) cost = Math.max(cost, this.ROUTE_COSTS.sourceKeeper);
+            
+            if (intel.owner) {
+                const standing = diplomacy.getStanding(intel.owner);
+                if (standing === 'self') return this.ROUTE_COSTS.mine;
+                if (standing === 'ally') return this.ROUTE_COSTS.ally;
+                if (intel.hostileStructures && intel.hostileStructures.towers > 0 && roomName !== toRoom) {
+                    return this.ROUTE_COSTS.towers;
+                }
+                cost = Math.max(cost, this.ROUTE_COSTS.hostile);
+            } else if (intel.reservation) {
+                const standing = diplomacy.getStanding(intel.reservation.username);
+                if (standing !== 'self' && standing !== 'ally') cost = Math.max(cost, this.ROUTE_COSTS.reserved);
+            }
+            
+            if (intel.hostiles) cost = Math.max(cost, this.ROUTE_COSTS.hostile);
+        }
+        
+        return cost;
+    },
+    
+    /**
+     * Classify a room by its name
+     * @param {string} roomName - Room name like W12N34
+     * @returns {string} - 'highway', 'sourceKeeper' or 'neutral'
+     */
+    getRoomType: function(roomName) {
+        const parsed = /^[WE](\d+)[NS](\d+)$/.exec(roomName);
+        if (!parsed) return 'neutral';
+        
+        const x = parsed[1] % 10;
+        const y = parsed[2] % 10;
+        if (x === 0 || y === 0) return 'highway';
+        
+        // The 3x3 block around each sector center holds keepers, the center itself doesn't
+        if (x >= 4 && x <= 6 && y >= 4 && y <= 6 && !(x === 5 && y === 5)) return 'sourceKeeper';
+        
+        return 'neutral';
+    },
+    
+    /**
+     * Get the exit tile the creep should walk to for the next room, cached until it changes rooms
+     * @param {Creep} creep - The travelling creep
+     * @param {string} nextRoom - Adjacent room to enter
+     * @returns {RoomPosition|null} - Exit tile, or null if the room has no exit there
+     */
+    getExitPos: function(creep, nextRoom) {
+        const state = creep.memory.travel;
+        if (state.exit) return new RoomPosition(state.exit.x, state.exit.y, creep.room.name);
+        
+        const direction = creep.room.findExitTo(nextRoom);
+        if (direction < 0) return null;
+        
+        const exit = creep.pos.findClosestByPath(direction) || creep.pos.findClosestByRange(direction);
+        if (!exit) return null;
+        
+        state.exit = { x: exit.x, y: exit.y };
+        return exit;
+    }
+};
+
+module.exports = travel;
@@ -353,6 +353,29 @@ const utils = {
         }
     },
     
+    /**
+     * Get our own player name from any owned spawn or controller
+     * @returns {string|null} - Username or null if we own nothing yet
+     */
+    getUsername: function() {
+        if (this.cache.username) return this.cache.username;
+        
+        for (const name in Game.spawns) {
+            this.cache.username = Game.spawns[name].owner.username;
+            return this.cache.username;
+        }
+        
+        for (const roomName in Game.rooms) {
+            const controller = Game.rooms[roomName].controller;
+            if (controller && controller.my) {
+                this.cache.username = controller.owner.username;
+                return this.cache.username;
+            }
+        }
+        
+        return null;
+    },
+    
     /**
      * Check if a position is safe from source keepers
      * @param {RoomPosition} pos - Position to check